@@ -0,0 +1,24 @@
+import { processEmailQueue } from '../utils/emailQueue.js';
+import { scheduleJob, stopJob } from './scheduler.js';
+
+/**
+ * Send queued email now and then on an interval (EMAIL_QUEUE_INTERVAL_MINUTES,
+ * default 1). New messages are also sent as soon as they are queued; the
+ * interval picks up retries whose backoff has passed.
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const startEmailWorker = () => {
+  const intervalMinutes = Number(process.env.EMAIL_QUEUE_INTERVAL_MINUTES) || 1;
+
+  return scheduleJob('Email queue', intervalMinutes, async () => {
+    const result = await processEmailQueue();
+    if (result.retried || result.dead) {
+      console.log(`Email queue: ${result.sent} sent, ${result.retried} to retry, ${result.dead} dead-lettered`);
+    }
+  });
+};
+
+/**
+ * Stop the email worker
+ */
+export const stopEmailWorker = () => stopJob('Email queue');
@@ -0,0 +1,151 @@
+import Transaction from '../models/Transaction.js';
+import TransactionHistory from '../models/TransactionHistory.js';
+import { scheduleJob, stopJob } from './scheduler.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Days an overdue loan may go unpaid before it is marked defaulted
+ * @returns {number} - Grace period in days
+ */
+export const getGracePeriodDays = () => Number(process.env.OVERDUE_GRACE_PERIOD_DAYS) || 30;
+
+/**
+ * Move a loan from one status to another and record the change.
+ * The update only matches while the loan is still in the expected status,
+ * so running it twice never records the same change twice.
+ * @param {Object} transaction - Transaction to update
+ * @param {string} from - Expected current status
+ * @param {string} to - New status
+ * @param {string} reason - Why the status changed
+ * @param {Date} now - Time of the change
+ * @returns {Promise<boolean>} - Whether the loan was updated
+ */
+const changeStatus = async (transaction, from, to, reason, now) => {
+  const result = await Transaction.updateOne(
+    { _id: transaction._id, status: from },
+    {
+      $set: { status: to },
+      $push: {
+        statusHistory: { from, to, reason, changedAt: now, changedBy: null }
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await TransactionHistory.create({
+    transaction: transaction._id,
+    action: 'status',
+    actor: null,
+    changes: [{ field: 'status', before: from, after: to }],
+    reason
+  });
+
+  return true;
+};
+
+/**
+ * Bring the stored totals of open loans up to date, since interest keeps
+ * accruing between saves. Writes skip the save hooks (totals are not part of
+ * the change history) and only apply if the loan was not saved in the
+ * meantime, so a payment recorded during the sweep is never overwritten.
+ * @param {Date} now - Time to work the totals out for
+ * @returns {Promise<number>} - Number of loans whose totals changed
+ */
+export const refreshOpenLoanTotals = async (now) => {
+  const cursor = Transaction.find({ status: { $in: ['active', 'overdue', 'defaulted'] } }).cursor();
+  let refreshed = 0;
+
+  for await (const transaction of cursor) {
+    transaction.refreshTotals(now);
+    if (!transaction.isModified()) {
+      continue;
+    }
+
+    const result = await Transaction.updateOne(
+      { _id: transaction._id, updatedAt: transaction.updatedAt },
+      {
+        $set: {
+          totalPaid: transaction.totalPaid,
+          remainingAmount: transaction.remainingAmount,
+          installments: transaction.installments
+        }
+      },
+      { timestamps: false }
+    );
+    refreshed += result.modifiedCount;
+  }
+
+  return refreshed;
+};
+
+/**
+ * Mark active loans past their due date (or with an unpaid installment past due) as
+ * overdue, and overdue loans past the grace period as defaulted. Totals are
+ * refreshed first so the sweep (and balances shown elsewhere) see today's figures.
+ * @param {Date} [now] - Time to sweep as of
+ * @returns {Promise<Object>} - Ids of loans moved to each status and the number of loans refreshed
+ */
+export const runOverdueSweep = async (now = new Date()) => {
+  const refreshed = await refreshOpenLoanTotals(now);
+  const graceDays = getGracePeriodDays();
+  const defaultCutoff = new Date(now.getTime() - graceDays * MS_PER_DAY);
+
+  const dueForOverdue = await Transaction.find({
+    status: 'active',
+    remainingAmount: { $gt: 0 },
+    $or: [
+      { dueDate: { $lt: now } },
+      { installments: { $elemMatch: { dueDate: { $lt: now }, status: { $ne: 'paid' } } } }
+    ]
+  }).select('_id');
+
+  const dueForDefault = await Transaction.find({
+    status: 'overdue',
+    remainingAmount: { $gt: 0 },
+    dueDate: { $lt: defaultCutoff }
+  }).select('_id');
+
+  const overdue = [];
+  for (const transaction of dueForOverdue) {
+    if (await changeStatus(transaction, 'active', 'overdue', 'Past due date', now)) {
+      overdue.push(transaction._id);
+    }
+  }
+
+  const defaulted = [];
+  for (const transaction of dueForDefault) {
+    const reason = `Unpaid ${graceDays} days after due date`;
+    if (await changeStatus(transaction, 'overdue', 'defaulted', reason, now)) {
+      defaulted.push(transaction._id);
+    }
+  }
+
+  return { ranAt: now, gracePeriodDays: graceDays, refreshed, overdue, defaulted };
+};
+
+/**
+ * Run the overdue sweep now and then on an interval
+ * (OVERDUE_SWEEP_INTERVAL_MINUTES, default 60)
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const startOverdueSweeper = () => {
+  const intervalMinutes = Number(process.env.OVERDUE_SWEEP_INTERVAL_MINUTES) || 60;
+
+  return scheduleJob('Overdue sweep', intervalMinutes, async () => {
+    const result = await runOverdueSweep();
+    if (result.overdue.length || result.defaulted.length) {
+      console.log(
+        `Overdue sweep: ${result.overdue.length} overdue, ${result.defaulted.length} defaulted`
+      );
+    }
+  });
+};
+
+/**
+ * Stop the scheduled overdue sweep
+ */
+export const stopOverdueSweeper = () => stopJob('Overdue sweep');
@@ -0,0 +1,226 @@
+import Transaction from '../models/Transaction.js';
+import ReminderLog from '../models/ReminderLog.js';
+import { roundMoney } from '../utils/interestCalculator.js';
+import {
+  sendDueReminderEmail,
+  sendOverdueReminderEmail,
+  sendLenderDigestEmail
+} from '../utils/emailService.js';
+import { scheduleJob, stopJob } from './scheduler.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['active', 'overdue', 'defaulted'];
+const DEFAULT_LEAD_DAYS = 3;
+// Furthest ahead any user can ask to be reminded
+const MAX_LEAD_DAYS = 30;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Whole calendar days (UTC) from one date to another
+const daysBetween = (from, to) => {
+  const start = Date.parse(dayKey(from));
+  const end = Date.parse(dayKey(to));
+  return Math.round((end - start) / MS_PER_DAY);
+};
+
+/**
+ * Days between repeat overdue reminders
+ * @returns {number} - Interval in days
+ */
+export const getOverdueReminderIntervalDays = () => Number(process.env.OVERDUE_REMINDER_INTERVAL_DAYS) || 7;
+
+/**
+ * The next amount a borrower has to pay and when: the first unpaid
+ * installment, or the whole remaining amount for a single-payment loan
+ * @param {Object} transaction - Transaction
+ * @returns {Object} - { dueDate, amount }
+ */
+const nextDue = (transaction) => {
+  const installment = transaction.installments.find((item) => item.status !== 'paid');
+
+  if (installment) {
+    return {
+      dueDate: installment.dueDate,
+      amount: roundMoney(installment.amount - (installment.paidAmount || 0))
+    };
+  }
+
+  return { dueDate: transaction.dueDate, amount: transaction.remainingAmount };
+};
+
+/**
+ * Send a reminder unless one with the same key was already sent. The log row
+ * is written first so two runs cannot both send it, and removed again if
+ * sending fails so the next run retries.
+ * @param {Object} log - { key, kind, user, transaction }
+ * @param {Function} send - Async function that sends the email
+ * @returns {Promise<boolean>} - Whether the reminder was sent
+ */
+const sendOnce = async (log, send) => {
+  try {
+    await ReminderLog.create(log);
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  try {
+    await send();
+    return true;
+  } catch (error) {
+    await ReminderLog.deleteOne({ key: log.key });
+    throw error;
+  }
+};
+
+/**
+ * Send borrower due-date and overdue reminders and lender daily digests
+ * @param {Date} [now] - Time to run as of
+ * @returns {Promise<Object>} - Counts of reminders sent and failed
+ */
+export const runReminders = async (now = new Date()) => {
+  const overdueInterval = getOverdueReminderIntervalDays();
+  const horizon = new Date(now.getTime() + (MAX_LEAD_DAYS + 1) * MS_PER_DAY);
+  const result = { upcoming: 0, due: 0, overdue: 0, digests: 0, failed: 0 };
+
+  const transactions = await Transaction.find({
+    status: { $in: OPEN_STATUSES },
+    $or: [{ dueDate: { $lte: horizon } }, { 'installments.dueDate': { $lte: horizon } }]
+  })
+    .populate('lender', 'email fullName reminderPreferences preferredLanguage')
+    .populate('borrowerId', 'email fullName reminderPreferences preferredLanguage');
+
+  const digests = new Map();
+
+  for (const transaction of transactions) {
+    const { dueDate, amount } = nextDue(transaction);
+    if (!(amount > 0)) {
+      continue;
+    }
+
+    const daysLeft = daysBetween(now, dueDate);
+    const lender = transaction.lender;
+    const borrower = transaction.borrowerId;
+
+    // Collect the lender's digest lines
+    if (lender && lender.reminderPreferences?.lenderDigest !== false) {
+      const leadDays = lender.reminderPreferences?.leadDays ?? DEFAULT_LEAD_DAYS;
+      const digest = digests.get(lender.id) || { lender, dueSoon: [], overdue: [] };
+      const line = { borrower: transaction.borrower, amount, dueDate };
+
+      if (daysLeft < 0) {
+        digest.overdue.push(line);
+      } else if (daysLeft <= leadDays) {
+        digest.dueSoon.push(line);
+      }
+      digests.set(lender.id, digest);
+    }
+
+    // Only registered borrowers who have not opted out get reminders
+    if (!borrower || borrower.reminderPreferences?.enabled === false) {
+      continue;
+    }
+
+    const leadDays = borrower.reminderPreferences?.leadDays ?? DEFAULT_LEAD_DAYS;
+    const lenderName = lender ? lender.fullName : 'your lender';
+    const base = { user: borrower._id, transaction: transaction._id };
+    let reminder = null;
+
+    if (daysLeft > 0 && daysLeft <= leadDays) {
+      reminder = {
+        log: { ...base, kind: 'upcoming', key: `upcoming:${transaction._id}:${dayKey(dueDate)}` },
+        send: () =>
+          sendDueReminderEmail(
+            borrower.email,
+            borrower.fullName,
+            { lenderName, amount, dueDate, daysLeft },
+            borrower.preferredLanguage
+          )
+      };
+    } else if (daysLeft === 0) {
+      reminder = {
+        log: { ...base, kind: 'due', key: `due:${transaction._id}:${dayKey(dueDate)}` },
+        send: () =>
+          sendDueReminderEmail(
+            borrower.email,
+            borrower.fullName,
+            { lenderName, amount, dueDate, daysLeft },
+            borrower.preferredLanguage
+          )
+      };
+    } else if (daysLeft < 0) {
+      // First reminder the day after the due date, then every overdueInterval days
+      const daysOverdue = -daysLeft;
+      const period = Math.floor((daysOverdue - 1) / overdueInterval);
+      reminder = {
+        log: { ...base, kind: 'overdue', key: `overdue:${transaction._id}:${dayKey(dueDate)}:${period}` },
+        send: () =>
+          sendOverdueReminderEmail(
+            borrower.email,
+            borrower.fullName,
+            { lenderName, amount, dueDate, daysOverdue },
+            borrower.preferredLanguage
+          )
+      };
+    }
+
+    if (!reminder) {
+      continue;
+    }
+
+    try {
+      if (await sendOnce(reminder.log, reminder.send)) {
+        result[reminder.log.kind] += 1;
+      }
+    } catch (error) {
+      console.error(`Reminder ${reminder.log.key} failed:`, error);
+      result.failed += 1;
+    }
+  }
+
+  for (const { lender, dueSoon, overdue } of digests.values()) {
+    if (dueSoon.length === 0 && overdue.length === 0) {
+      continue;
+    }
+
+    const log = { user: lender._id, kind: 'digest', key: `digest:${lender._id}:${dayKey(now)}` };
+
+    try {
+      const send = () =>
+        sendLenderDigestEmail(lender.email, lender.fullName, { dueSoon, overdue }, lender.preferredLanguage);
+
+      if (await sendOnce(log, send)) {
+        result.digests += 1;
+      }
+    } catch (error) {
+      console.error(`Reminder ${log.key} failed:`, error);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Run reminders now and then on an interval (REMINDER_INTERVAL_MINUTES, default 60).
+ * Each reminder is keyed by day, so running more often never sends duplicates.
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const startReminderScheduler = () => {
+  const intervalMinutes = Number(process.env.REMINDER_INTERVAL_MINUTES) || 60;
+
+  return scheduleJob('Reminders', intervalMinutes, async () => {
+    const result = await runReminders();
+    const sent = result.upcoming + result.due + result.overdue + result.digests;
+    if (sent || result.failed) {
+      console.log(`Reminders: ${sent} sent, ${result.failed} failed`);
+    }
+  });
+};
+
+/**
+ * Stop the scheduled reminders
+ */
+export const stopReminderScheduler = () => stopJob('Reminders');
@@ -0,0 +1,48 @@
+const timers = new Map();
+
+/**
+ * Run a job now and then every intervalMinutes. A tick is skipped while the
+ * previous run is still going, and errors are logged rather than thrown.
+ * @param {string} name - Job name, used in logs and to stop the job
+ * @param {number} intervalMinutes - Minutes between runs
+ * @param {Function} job - Async function to run
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+export const scheduleJob = (name, intervalMinutes, job) => {
+  if (timers.has(name)) {
+    return timers.get(name);
+  }
+
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timers.set(name, timer);
+  return timer;
+};
+
+/**
+ * Stop a scheduled job
+ * @param {string} name - Job name given to scheduleJob
+ */
+export const stopJob = (name) => {
+  if (timers.has(name)) {
+    clearInterval(timers.get(name));
+    timers.delete(name);
+  }
+};
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { findActiveSession } from '../utils/sessions.js';
 
 // Protect routes
 export const protect = async (req, res, next) => {
@@ -35,6 +36,17 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // The session must still be active, so logging out or revoking it cuts off its access tokens
+    const session = decoded.sid && await findActiveSession(decoded.sid, decoded.id);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked'
+      });
+    }
+
+    req.sessionId = session._id;
+
     next();
   } catch (error) {
     return res.status(401).json({
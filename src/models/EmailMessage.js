@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+export const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'dead'];
+
+// How long sent messages are kept before MongoDB removes them
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// An outgoing email on the send queue
+const EmailMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    // Bodies are cleared once the message is sent so OTPs are not kept around
+    text: String,
+    html: String,
+    status: {
+      type: String,
+      enum: EMAIL_STATUSES,
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    // When a worker claimed the message, so a crashed send can be picked up again
+    lockedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    messageId: {
+      type: String,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+// Worker picking the next due message
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+// Only sent messages have sentAt, so only they expire
+EmailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+const EmailMessage = mongoose.model('EmailMessage', EmailMessageSchema);
+
+export default EmailMessage;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+export const INVITE_CHANNELS = ['email', 'sms'];
+export const INVITE_STATUSES = ['sent', 'opened', 'joined'];
+
+// An invitation from a lender to an unregistered borrower to sign up
+const InviteSchema = new mongoose.Schema(
+  {
+    lender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Loan the invite was sent for; it is linked to the borrower when they join
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true
+    },
+    borrower: {
+      type: String,
+      required: true
+    },
+    channel: {
+      type: String,
+      enum: INVITE_CHANNELS,
+      required: true
+    },
+    // Email address or E.164 phone number the invite was sent to
+    recipient: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: INVITE_STATUSES,
+      default: 'sent'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    openedAt: {
+      type: Date,
+      default: null
+    },
+    joinedAt: {
+      type: Date,
+      default: null
+    },
+    joinedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+InviteSchema.index({ lender: 1, createdAt: -1 });
+InviteSchema.index({ transaction: 1 });
+
+// Whether the invite can still be used to sign up
+InviteSchema.methods.isUsable = function () {
+  return this.status !== 'joined' && this.expiresAt > new Date();
+};
+
+const Invite = mongoose.model('Invite', InviteSchema);
+
+export default Invite;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Events a user can be notified about; each can also be sent by email
+export const NOTIFICATION_TYPES = [
+  'loan_created',
+  'loan_updated',
+  'loan_deleted',
+  'loan_accepted',
+  'loan_rejected',
+  'loan_claimed',
+  'payment_recorded',
+  'payment_confirmed',
+  'payment_rejected',
+  'payment_cancelled',
+  'status_changed'
+];
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    // User whose action caused the notification, if any
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    read: {
+      type: Boolean,
+      default: false
+    },
+    readAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+// Inbox listing and unread counts
+NotificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+export default Notification;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Failed attempts (or a cooldown) for one key, e.g. logins for an account or from an IP address
+const RateLimitSchema = new mongoose.Schema(
+  {
+    // What is being limited, e.g. "login:account:alice" or "login:ip:203.0.113.7"
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Failures since windowStartedAt
+    failures: {
+      type: Number,
+      default: 0
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Requests are refused until this time
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    // Lockouts in a row; each one lasts twice as long as the last
+    lockouts: {
+      type: Number,
+      default: 0
+    },
+    // MongoDB removes the record once the key has been quiet long enough, which also resets the backoff
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', RateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// One row per reminder email sent, so no reminder goes out twice
+const ReminderLogSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    kind: {
+      type: String,
+      enum: ['upcoming', 'due', 'overdue', 'digest'],
+      required: true
+    },
+    // Identifies the reminder (e.g. kind, loan and due date); unique so reruns skip it
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+const ReminderLog = mongoose.model('ReminderLog', ReminderLogSchema);
+
+export default ReminderLog;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. The refresh token is only stored as a hash and is replaced on every refresh.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // The token this one replaced; seeing it again means a refresh token was stolen and reused
+    previousTokenHash: {
+      type: String,
+      default: null
+    },
+    deviceName: {
+      type: String,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'password_reset', 'token_reuse', null],
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ previousTokenHash: 1 });
+// MongoDB removes sessions once they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+export default Session;
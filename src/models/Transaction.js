@@ -1,4 +1,31 @@
 import mongoose from 'mongoose';
+import {
+  calculateInterest,
+  getAnnualRate,
+  roundMoney,
+  INTEREST_TYPES,
+  COMPOUNDING_FREQUENCIES,
+  RATE_UNITS,
+  RATE_PERIODS
+} from '../utils/interestCalculator.js';
+import {
+  applyPaymentsToSchedule,
+  REPAYMENT_PLANS,
+  INSTALLMENT_STATUSES
+} from '../utils/repaymentSchedule.js';
+import TransactionHistory from './TransactionHistory.js';
+import softDelete from './plugins/softDelete.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+export const PAYMENT_STATUSES = ['proposed', 'confirmed', 'rejected', 'voided', 'reversed'];
+
+// Why a payment was voided, reversed or corrected
+export const PAYMENT_CANCEL_REASONS = ['entry_error', 'duplicate', 'bounced', 'refunded', 'wrong_loan', 'other'];
+
+export const TRANSACTION_STATUSES = ['pending', 'rejected', 'active', 'completed', 'overdue', 'defaulted'];
+
+// Statuses of loans the borrower has accepted; only these count toward balances
+export const ACCEPTED_STATUSES = ['active', 'completed', 'overdue', 'defaulted'];
 
 const TransactionSchema = new mongoose.Schema(
   {
@@ -16,6 +43,24 @@ const TransactionSchema = new mongoose.Schema(
       ref: 'User',
       default: null
     },
+    // Unregistered borrower's phone number (E.164), so the loan can be found when they sign up
+    borrowerPhone: {
+      type: String,
+      default: null,
+      set: (value) => normalizePhoneNumber(value) || value || null
+    },
+    // Set when a borrower who signed up later claims the loan; borrowerId is then fixed
+    borrowerClaimedAt: {
+      type: Date,
+      default: null
+    },
+    // Users who said an unlinked loan that matched them is not theirs
+    claimDismissedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
     amount: {
       type: Number,
       required: [true, 'Please provide the loan amount'],
@@ -26,6 +71,31 @@ const TransactionSchema = new mongoose.Schema(
       required: [true, 'Please provide the interest rate'],
       min: [0, 'Interest rate cannot be negative']
     },
+    // Unit and period the rate was quoted in, e.g. 2 perHundred per month
+    interestRateUnit: {
+      type: String,
+      enum: RATE_UNITS,
+      default: 'percent'
+    },
+    interestRatePeriod: {
+      type: String,
+      enum: RATE_PERIODS,
+      default: 'year'
+    },
+    // Nominal percent per annum, normalised from the quoted rate
+    annualInterestRate: {
+      type: Number
+    },
+    interestType: {
+      type: String,
+      enum: INTEREST_TYPES,
+      default: 'simple'
+    },
+    compoundingFrequency: {
+      type: String,
+      enum: COMPOUNDING_FREQUENCIES,
+      default: 'monthly'
+    },
     startDate: {
       type: Date,
       required: [true, 'Please provide the start date'],
@@ -37,13 +107,70 @@ const TransactionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'active', 'completed', 'overdue', 'defaulted'],
+      enum: TRANSACTION_STATUSES,
       default: 'active'
     },
+    // Borrower's answer to a pending loan
+    respondedAt: {
+      type: Date,
+      default: null
+    },
+    responseReason: {
+      type: String,
+      required: false
+    },
     description: {
       type: String,
       required: false
     },
+    repaymentPlan: {
+      type: String,
+      enum: REPAYMENT_PLANS,
+      default: 'single'
+    },
+    installments: [
+      {
+        number: {
+          type: Number,
+          required: true
+        },
+        dueDate: {
+          type: Date,
+          required: true
+        },
+        principal: Number,
+        interest: Number,
+        amount: {
+          type: Number,
+          required: true
+        },
+        paidAmount: {
+          type: Number,
+          default: 0
+        },
+        status: {
+          type: String,
+          enum: INSTALLMENT_STATUSES,
+          default: 'pending'
+        }
+      }
+    ],
+    statusHistory: [
+      {
+        from: String,
+        to: String,
+        reason: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
     payments: [
       {
         amount: {
@@ -54,7 +181,44 @@ const TransactionSchema = new mongoose.Schema(
           type: Date,
           default: Date.now
         },
-        notes: String
+        notes: String,
+        // Payments recorded by the borrower wait for the lender to confirm them
+        status: {
+          type: String,
+          enum: PAYMENT_STATUSES,
+          default: 'confirmed'
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        },
+        confirmedAt: Date,
+        rejectedAt: Date,
+        rejectionReason: String,
+        // Set when a payment is voided (entered in error) or reversed (e.g. bounced)
+        cancelledAt: Date,
+        cancelledBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        cancelReasonCode: {
+          type: String,
+          enum: PAYMENT_CANCEL_REASONS
+        },
+        cancelReason: String,
+        // Links between a corrected payment and the entry it replaced
+        replaces: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null
+        },
+        replacedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null
+        }
       }
     ],
     totalPaid: {
@@ -71,22 +235,235 @@ const TransactionSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Calculate remaining amount when a payment is added
+TransactionSchema.plugin(softDelete);
+
+// Indexes for listing a user's loans as lender or borrower
+TransactionSchema.index({ lender: 1, createdAt: -1 });
+TransactionSchema.index({ borrowerId: 1, createdAt: -1 });
+TransactionSchema.index({ borrower: 1, createdAt: -1 });
+TransactionSchema.index({ borrowerPhone: 1 });
+
+// Interest, principal and total due as of a date
+TransactionSchema.methods.getInterestSummary = function(asOf = new Date()) {
+  return calculateInterest(this, asOf);
+};
+
+// Installments with payments applied in order, as of a date
+TransactionSchema.methods.getSchedule = function(asOf = new Date()) {
+  const installments = this.installments.map((installment) => installment.toObject());
+  return applyPaymentsToSchedule(installments, this.getInterestSummary(asOf).totalPaid, asOf);
+};
+
+/**
+ * Work out the stored totals as of a date: totalPaid counts confirmed payments
+ * made by then, and remainingAmount is the total due then (interest included),
+ * or what the installment plan has left unpaid. Interest keeps accruing after
+ * a save, so the overdue sweep refreshes these on open loans.
+ * @param {Date} [asOf] - Date to work the totals out for (defaults to now)
+ * @returns {Object} - This transaction, with totals and installments updated
+ */
+TransactionSchema.methods.refreshTotals = function(asOf = new Date()) {
+  const summary = this.getInterestSummary(asOf);
+
+  this.totalPaid = summary.totalPaid;
+  this.remainingAmount = summary.totalDue;
+
+  // A loan with an installment plan owes whatever its schedule has left unpaid
+  if (this.installments.length > 0) {
+    applyPaymentsToSchedule(this.installments, this.totalPaid, asOf);
+    this.remainingAmount = roundMoney(
+      this.installments.reduce((sum, installment) => sum + installment.amount - installment.paidAmount, 0)
+    );
+  }
+
+  return this;
+};
+
+// Loan fields whose changes are written to the transaction history
+const TRACKED_FIELDS = [
+  'borrower',
+  'borrowerId',
+  'borrowerPhone',
+  'amount',
+  'interestRate',
+  'interestRateUnit',
+  'interestRatePeriod',
+  'interestType',
+  'compoundingFrequency',
+  'startDate',
+  'dueDate',
+  'description',
+  'repaymentPlan',
+  'status'
+];
+const TRACKED_PAYMENT_FIELDS = ['amount', 'date', 'notes', 'status'];
+
+// Plain value that can be compared with === and stored in the history
+const toHistoryValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return value.toString();
+  }
+  return value;
+};
+
+// Tracked loan and payment values as they are right now
+const takeSnapshot = (doc) => ({
+  fields: Object.fromEntries(TRACKED_FIELDS.map((field) => [field, toHistoryValue(doc.get(field))])),
+  payments: Object.fromEntries(
+    doc.payments.map((payment) => [
+      payment._id.toString(),
+      Object.fromEntries(
+        TRACKED_PAYMENT_FIELDS.map((field) => [field, toHistoryValue(payment.get(field))])
+      )
+    ])
+  )
+});
+
+// History entries describing what changed between two snapshots
+const diffSnapshots = (before, after) => {
+  const entries = [];
+
+  const fieldChanges = TRACKED_FIELDS
+    .filter((field) => field !== 'status' && before.fields[field] !== after.fields[field])
+    .map((field) => ({ field, before: before.fields[field], after: after.fields[field] }));
+
+  if (fieldChanges.length > 0) {
+    entries.push({ action: 'update', changes: fieldChanges });
+  }
+
+  const paymentChanges = [];
+  Object.entries(after.payments).forEach(([id, payment]) => {
+    const previous = before.payments[id];
+
+    if (!previous) {
+      paymentChanges.push({ field: `payments.${id}`, before: null, after: payment });
+      return;
+    }
+
+    TRACKED_PAYMENT_FIELDS
+      .filter((field) => previous[field] !== payment[field])
+      .forEach((field) => {
+        paymentChanges.push({ field: `payments.${id}.${field}`, before: previous[field], after: payment[field] });
+      });
+  });
+
+  if (paymentChanges.length > 0) {
+    entries.push({ action: 'payment', changes: paymentChanges });
+  }
+
+  if (before.fields.status !== after.fields.status) {
+    entries.push({
+      action: 'status',
+      changes: [{ field: 'status', before: before.fields.status, after: after.fields.status }]
+    });
+  }
+
+  return entries;
+};
+
+// Remember the stored values so changes can be recorded on save
+TransactionSchema.post('init', function() {
+  this.$locals.snapshot = takeSnapshot(this);
+});
+
+// Calculate remaining amount (principal plus accrued interest) when a payment or loan terms change
 TransactionSchema.pre('save', function(next) {
-  if (this.isModified('payments')) {
-    this.totalPaid = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
-    this.remainingAmount = this.amount - this.totalPaid;
-    
-    // Update status based on payments
-    if (this.remainingAmount <= 0) {
-      this.status = 'completed';
-    } else if (this.dueDate < new Date() && this.status !== 'completed') {
-      this.status = 'overdue';
+  this.annualInterestRate = getAnnualRate(this);
+
+  if (
+    this.isModified('payments') ||
+    this.isModified('amount') ||
+    this.isModified('interestRate') ||
+    this.isModified('interestRateUnit') ||
+    this.isModified('interestRatePeriod') ||
+    this.isModified('interestType') ||
+    this.isModified('compoundingFrequency') ||
+    this.isModified('startDate') ||
+    this.isModified('dueDate') ||
+    this.isModified('installments')
+  ) {
+    this.refreshTotals();
+
+    // Update status based on payments (loans the borrower has not accepted keep their status)
+    if (ACCEPTED_STATUSES.includes(this.status)) {
+      const isPastDue =
+        this.dueDate < new Date() ||
+        this.installments.some((installment) => installment.status === 'overdue');
+
+      if (this.remainingAmount <= 0) {
+        this.status = 'completed';
+      } else if (isPastDue && this.status !== 'defaulted') {
+        // A defaulted loan stays defaulted until it is paid off
+        this.status = 'overdue';
+      } else if (this.status === 'completed' || this.status === 'overdue') {
+        // A voided payment or extended due date can reopen a loan
+        this.status = 'active';
+      }
     }
   }
+
+  // Work out history entries; routes can set $locals.changedBy and $locals.statusReason
+  const snapshot = takeSnapshot(this);
+
+  const statusReason = this.$locals.statusReason || 'Recalculated after update';
+
+  if (this.isNew) {
+    const empty = { fields: {}, payments: {} };
+    this.$locals.pendingHistory = [
+      {
+        action: 'create',
+        changes: TRACKED_FIELDS
+          .filter((field) => snapshot.fields[field] !== null)
+          .map((field) => ({ field, before: null, after: snapshot.fields[field] }))
+      },
+      ...diffSnapshots(empty, snapshot).filter((entry) => entry.action === 'payment')
+    ];
+  } else {
+    const previous = this.$locals.snapshot || snapshot;
+    this.$locals.pendingHistory = diffSnapshots(previous, snapshot).map((entry) =>
+      entry.action === 'status' ? { ...entry, reason: statusReason } : entry
+    );
+
+    if (previous.fields.status !== snapshot.fields.status) {
+      this.statusHistory.push({
+        from: previous.fields.status,
+        to: this.status,
+        reason: statusReason,
+        changedBy: this.$locals.changedBy || null,
+        changedAt: new Date()
+      });
+    }
+  }
+
   next();
 });
 
+// Append this save's changes to the transaction history
+TransactionSchema.post('save', async function(doc) {
+  const entries = doc.$locals.pendingHistory || [];
+
+  if (entries.length > 0) {
+    await TransactionHistory.insertMany(
+      entries.map((entry) => ({
+        ...entry,
+        transaction: doc._id,
+        actor: doc.$locals.changedBy || null
+      })),
+      // Write the history inside the same database transaction as the save, if any
+      { session: doc.$session() }
+    );
+  }
+
+  doc.$locals.pendingHistory = [];
+  doc.$locals.snapshot = takeSnapshot(doc);
+});
+
 const Transaction = mongoose.model('Transaction', TransactionSchema);
 
 export default Transaction; 
\ No newline at end of file
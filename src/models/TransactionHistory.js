@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Append-only record of every change made to a transaction
+const TransactionHistorySchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true,
+      index: true
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'payment', 'status', 'delete', 'restore'],
+      required: true
+    },
+    // Null when the change was made by the system (e.g. the overdue sweeper)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }
+    ],
+    reason: String
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// History entries can be added but never changed
+TransactionHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Transaction history is append-only'));
+  }
+  next();
+});
+
+TransactionHistorySchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+  ],
+  function(next) {
+    next(new Error('Transaction history is append-only'));
+  }
+);
+
+const TransactionHistory = mongoose.model('TransactionHistory', TransactionHistorySchema);
+
+export default TransactionHistory;
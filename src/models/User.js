@@ -1,6 +1,37 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import softDelete from './plugins/softDelete.js';
+import { NOTIFICATION_TYPES } from './Notification.js';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../utils/templates.js';
+import { verifyCode } from '../utils/totp.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+// OTPs expire after this long
+const OTP_TTL_MINUTES = 30;
+
+// The user document fields holding each kind of OTP
+const OTP_FIELDS = {
+  emailVerification: { token: 'emailVerificationToken', expire: 'emailVerificationExpire', attempts: 'emailVerificationAttempts' },
+  phoneVerification: { token: 'phoneVerificationToken', expire: 'phoneVerificationExpire', attempts: 'phoneVerificationAttempts' },
+  resetPassword: { token: 'resetPasswordToken', expire: 'resetPasswordExpire', attempts: 'resetPasswordAttempts' }
+};
+
+/**
+ * Wrong guesses allowed per OTP before it is invalidated (OTP_MAX_ATTEMPTS, default 5)
+ * @returns {number} - Attempts
+ */
+const getOtpMaxAttempts = () => Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+const hashOtp = (otp) => crypto.createHash('sha256').update(otp).digest('hex');
+
+// Number of two-factor recovery codes issued at a time
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without case or dashes, as people type them differently
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
 
 const UserSchema = new mongoose.Schema(
   {
@@ -43,9 +74,12 @@ const UserSchema = new mongoose.Schema(
       type: String,
       required: false
     },
+    // Stored in E.164 (see utils/phone.js); a number that cannot be normalised is kept as entered
     phoneNumber: {
       type: String,
-      required: [true, 'Please provide your phone number']
+      required: [true, 'Please provide your phone number'],
+      unique: true,
+      set: (value) => normalizePhoneNumber(value) || value
     },
     village: {
       type: String,
@@ -60,18 +94,106 @@ const UserSchema = new mongoose.Schema(
       enum: ['user', 'admin'],
       default: 'user'
     },
-    resetPasswordToken: String,
+    // Language emails and notifications are written in
+    preferredLanguage: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      default: DEFAULT_LANGUAGE
+    },
+    // OTPs are stored as SHA-256 hashes; the Attempts fields count wrong guesses at the current OTP
+    resetPasswordToken: {
+      type: String,
+      select: false
+    },
     resetPasswordExpire: Date,
-    emailVerificationToken: String,
+    resetPasswordAttempts: {
+      type: Number,
+      default: 0
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false
+    },
     emailVerificationExpire: Date,
+    emailVerificationAttempts: {
+      type: Number,
+      default: 0
+    },
     isEmailVerified: {
       type: Boolean,
       default: false
+    },
+    phoneVerificationToken: {
+      type: String,
+      select: false
+    },
+    phoneVerificationExpire: Date,
+    phoneVerificationAttempts: {
+      type: Number,
+      default: 0
+    },
+    isPhoneVerified: {
+      type: Boolean,
+      default: false
+    },
+    reminderPreferences: {
+      // Due-date and overdue reminders for loans the user has borrowed
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Days before a due date to send the first reminder
+      leadDays: {
+        type: Number,
+        default: 3,
+        min: [0, 'Reminder lead time cannot be negative'],
+        max: [30, 'Reminder lead time cannot exceed 30 days']
+      },
+      // Daily digest of what is due and overdue on loans the user has lent
+      lenderDigest: {
+        type: Boolean,
+        default: true
+      }
+    },
+    notificationPreferences: {
+      // Events that are also sent by email; every event always appears in the in-app inbox
+      email: Object.fromEntries(
+        NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: false }])
+      )
+    },
+    // Authenticator app (TOTP) codes required at login once enabled
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret being set up; it replaces `secret` once the user confirms a code from it
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      // Last time step a code was accepted for, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        default: 0
+      },
+      enabledAt: Date
     }
   },
   { timestamps: true }
 );
 
+UserSchema.plugin(softDelete);
+
 // Encrypt password before saving
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -82,10 +204,17 @@ UserSchema.pre('save', async function (next) {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Sign a short-lived access token for a session
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
+  });
+};
+
+// Sign the short-lived token that carries a login from the password step to the two-factor step
+UserSchema.methods.getTwoFactorToken = function () {
+  return jwt.sign({ id: this._id, purpose: 'two_factor' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
   });
 };
 
@@ -94,28 +223,139 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Issue a new OTP of the given kind, replacing any earlier one. Only its hash is kept.
+const issueOtp = (user, kind) => {
+  const { token, expire, attempts } = OTP_FIELDS[kind];
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  user[token] = hashOtp(otp);
+  user[expire] = Date.now() + OTP_TTL_MINUTES * 60 * 1000;
+  user[attempts] = 0;
+
+  return otp;
+};
+
 // Generate email verification token
 UserSchema.methods.getEmailVerificationToken = function() {
-  // Generate token
-  const verificationToken = Math.floor(100000 + Math.random() * 900000).toString();
-
-  // Set token and expiration on user document
-  this.emailVerificationToken = verificationToken;
-  this.emailVerificationExpire = Date.now() + 30 * 60 * 1000; // 30 minutes
+  return issueOtp(this, 'emailVerification');
+};
 
-  return verificationToken;
+// Generate phone verification token
+UserSchema.methods.getPhoneVerificationToken = function() {
+  return issueOtp(this, 'phoneVerification');
 };
 
 // Generate password reset token
 UserSchema.methods.getResetPasswordToken = function() {
-  // Generate token
-  const resetToken = Math.floor(100000 + Math.random() * 900000).toString();
+  return issueOtp(this, 'resetPassword');
+};
+
+/**
+ * Check an OTP, using up one of its attempts. Once the attempts run out the
+ * OTP is cleared and a new one has to be requested. On success the OTP is
+ * cleared on this document; the caller saves it along with its own changes.
+ * @param {string} kind - 'emailVerification', 'phoneVerification' or 'resetPassword'
+ * @param {string} otp - OTP entered by the user
+ * @returns {Promise<string>} - 'valid', 'invalid', 'expired' (or never issued) or 'exhausted'
+ */
+UserSchema.methods.checkOtp = async function (kind, otp) {
+  const { token, expire, attempts } = OTP_FIELDS[kind];
+  const maxAttempts = getOtpMaxAttempts();
+  const clear = { $unset: { [token]: 1, [expire]: 1 }, $set: { [attempts]: 0 } };
+
+  // Claim an attempt atomically so parallel guesses cannot exceed the limit
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, [token]: { $exists: true }, [expire]: { $gt: new Date() }, [attempts]: { $lt: maxAttempts } },
+    { $inc: { [attempts]: 1 } },
+    { new: true }
+  ).select(`+${token}`);
+
+  if (!claimed) {
+    const current = await this.constructor.findById(this._id).select(`+${token}`);
+    if (!current || !current[token]) {
+      return 'expired';
+    }
+
+    await this.constructor.updateOne({ _id: this._id }, clear);
+    return current[expire] > new Date() ? 'exhausted' : 'expired';
+  }
+
+  const expected = Buffer.from(claimed[token], 'hex');
+  const given = Buffer.from(hashOtp(String(otp)), 'hex');
+
+  // OTPs issued before hashing was introduced are not 32 bytes long and never match
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    if (claimed[attempts] >= maxAttempts) {
+      await this.constructor.updateOne({ _id: this._id }, clear);
+      return 'exhausted';
+    }
+    return 'invalid';
+  }
+
+  this[token] = undefined;
+  this[expire] = undefined;
+  this[attempts] = 0;
+  return 'valid';
+};
+
+/**
+ * Replace the two-factor recovery codes with a new set. Only their hashes
+ * are kept, so the codes returned here cannot be shown again.
+ * @returns {string[]} - Recovery codes, e.g. "4f1a-9c2e"
+ */
+UserSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Check a code from the user's authenticator app, or one of their recovery
+ * codes. Either kind is used up atomically: an app code cannot be replayed
+ * and a recovery code is removed.
+ * @param {string} code - Code entered by the user
+ * @param {string} [secretPath] - 'secret', or 'pendingSecret' to confirm a secret during setup
+ * @returns {Promise<string|null>} - 'totp', 'recovery', or null if the code is not valid
+ */
+UserSchema.methods.checkTwoFactorCode = async function (code, secretPath = 'secret') {
+  const user = await this.constructor
+    .findById(this._id)
+    .select(`+twoFactor.${secretPath} +twoFactor.recoveryCodes`);
+  const secret = user && user.twoFactor[secretPath];
+
+  if (!secret || !code) {
+    return null;
+  }
+
+  const step = verifyCode(secret, code);
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount === 1) {
+      this.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+    return null;
+  }
+
+  // Recovery codes only stand in for the active secret, not while setting one up
+  if (secretPath !== 'secret') {
+    return null;
+  }
 
-  // Set token and expiration on user document
-  this.resetPasswordToken = resetToken;
-  this.resetPasswordExpire = Date.now() + 30 * 60 * 1000; // 30 minutes
+  const hash = hashRecoveryCode(code);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
 
-  return resetToken;
+  return result.modifiedCount === 1 ? 'recovery' : null;
 };
 
 const User = mongoose.model('User', UserSchema);
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'updateOne',
+  'updateMany'
+];
+
+/**
+ * Soft delete plugin.
+ *
+ * Adds deletedAt/deletedBy fields and hides deleted documents from queries
+ * and aggregations. Pass { withDeleted: true } through setOptions() on a
+ * query (or option() on an aggregate) to include them.
+ *
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    if (this.options.withDeleted) {
+      // Mongoose-only option, keep it away from the driver
+      delete this.options.withDeleted;
+      return next();
+    }
+
+    this.where({ deletedAt: null });
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return next();
+    }
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+    next();
+  });
+
+  // Mark the document deleted by a user
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save();
+  };
+
+  // Bring a soft-deleted document back
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
+
+export default softDelete;
@@ -0,0 +1,197 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.js';
+import { runOverdueSweep } from '../jobs/overdueSweeper.js';
+import { runReminders } from '../jobs/reminderJob.js';
+import Transaction from '../models/Transaction.js';
+import TransactionHistory from '../models/TransactionHistory.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Session from '../models/Session.js';
+import Invite from '../models/Invite.js';
+import EmailMessage, { EMAIL_STATUSES } from '../models/EmailMessage.js';
+import { retryDeadEmail } from '../utils/emailQueue.js';
+
+const router = express.Router();
+
+// @route   POST /api/admin/sweep-overdue
+// @desc    Run the overdue/defaulted status sweep now
+// @access  Private/Admin
+router.post('/sweep-overdue', protect, authorize('admin'), async (req, res) => {
+  try {
+    const result = await runOverdueSweep();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/send-reminders
+// @desc    Send due reminders now (already sent reminders are skipped)
+// @access  Private/Admin
+router.post('/send-reminders', protect, authorize('admin'), async (req, res) => {
+  try {
+    const result = await runReminders();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/purge-deleted
+// @desc    Permanently remove transactions and users deleted longer ago than the retention period.
+//          Users still named on a transaction (deleted or not) are kept so it never loses its lender
+//          or borrower; their notifications, sessions and invites go with everything purged.
+//          The change history of purged transactions is kept on purpose: it is the append-only
+//          audit trail and outlives the records it describes.
+// @access  Private/Admin
+router.post('/purge-deleted', protect, authorize('admin'), async (req, res) => {
+  try {
+    const retentionDays = Number(process.env.SOFT_DELETE_RETENTION_DAYS) || 90;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const filter = { deletedAt: { $ne: null, $lt: cutoff } };
+    const ids = (docs) => docs.map((doc) => doc._id);
+
+    // Transactions first, so users whose only loans are purged here can go too
+    const transactionIds = ids(
+      await Transaction.find(filter).setOptions({ withDeleted: true }).select('_id').lean()
+    );
+    const transactions = await Transaction.deleteMany({ _id: { $in: transactionIds } });
+    const historyKept = await TransactionHistory.countDocuments({ transaction: { $in: transactionIds } });
+    await Notification.deleteMany({ transaction: { $in: transactionIds } });
+    await Invite.deleteMany({ transaction: { $in: transactionIds } });
+
+    const candidateIds = ids(await User.find(filter).setOptions({ withDeleted: true }).select('_id').lean());
+    const stillReferenced = await Transaction.find({
+      $or: [{ lender: { $in: candidateIds } }, { borrowerId: { $in: candidateIds } }]
+    })
+      .setOptions({ withDeleted: true })
+      .select('lender borrowerId')
+      .lean();
+    const keptIds = new Set(
+      stillReferenced.flatMap((transaction) => [transaction.lender, transaction.borrowerId]).map(String)
+    );
+    const userIds = candidateIds.filter((id) => !keptIds.has(id.toString()));
+
+    const users = await User.deleteMany({ _id: { $in: userIds } });
+    await Notification.deleteMany({ user: { $in: userIds } });
+    await Session.deleteMany({ user: { $in: userIds } });
+    await Invite.deleteMany({ lender: { $in: userIds } });
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays,
+        deletedBefore: cutoff,
+        transactionsPurged: transactions.deletedCount,
+        // History entries of the purged transactions, left in place as the audit trail
+        historyEntriesKept: historyKept,
+        usersPurged: users.deletedCount,
+        // Deleted users kept because transactions still refer to them
+        usersKept: candidateIds.length - userIds.length
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/emails
+// @desc    List outgoing email by status (default: the dead-letter list) with queue counts
+// @access  Private/Admin
+router.get(
+  '/emails',
+  [
+    protect,
+    authorize('admin'),
+    [
+      query('status', `Status must be one of: ${EMAIL_STATUSES.join(', ')}`).optional().isIn(EMAIL_STATUSES),
+      query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const status = req.query.status || 'dead';
+      const limit = req.query.limit ? Number(req.query.limit) : 50;
+
+      const [messages, counts] = await Promise.all([
+        EmailMessage.find({ status }).select('-text -html').sort({ updatedAt: -1 }).limit(limit),
+        EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+      ]);
+
+      res.json({
+        success: true,
+        counts: Object.fromEntries(counts.map((group) => [group._id, group.count])),
+        count: messages.length,
+        data: messages
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/emails/:id/retry
+// @desc    Put a dead-lettered email back on the queue
+// @access  Private/Admin
+router.post('/emails/:id/retry', protect, authorize('admin'), async (req, res) => {
+  try {
+    const message = await retryDeadEmail(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead-lettered email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email queued for another attempt',
+      data: { id: message._id, to: message.to, subject: message.subject, status: message.status }
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead-lettered email not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
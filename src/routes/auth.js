@@ -1,8 +1,91 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import jwt from 'jsonwebtoken';
+import { body, oneOf, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import { protect } from '../middleware/auth.js';
 import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/emailService.js';
+import { sendPhoneVerificationSms, sendPasswordResetSms } from '../utils/smsService.js';
+import { SUPPORTED_LANGUAGES } from '../utils/templates.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../utils/sessions.js';
+import Session from '../models/Session.js';
+import { generateSecret, buildOtpauthUrl } from '../utils/totp.js';
+import { normalizePhoneNumber, isValidPhoneNumber } from '../utils/phone.js';
+import { countClaimableLoans } from '../utils/loanClaims.js';
+import { findInviteByCode, markInviteOpened, acceptInvite, acceptInvitesFor } from '../utils/invites.js';
+import {
+  attemptKeys,
+  getLockout,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  startCooldown,
+  getOtpCooldownSeconds
+} from '../utils/rateLimit.js';
+
+// Where a password reset OTP can be sent
+const OTP_CHANNELS = ['email', 'sms'];
+
+// Find the account a login identifier refers to: an email address, a username or a phone number
+const findLoginUser = async (identifier) => {
+  if (identifier.includes('@')) {
+    return await User.findOne({ email: identifier }).select('+password');
+  }
+
+  const byUsername = await User.findOne({ username: identifier }).select('+password');
+  if (byUsername) {
+    return byUsername;
+  }
+
+  const phoneNumber = normalizePhoneNumber(identifier);
+  return phoneNumber ? await User.findOne({ phoneNumber }).select('+password') : null;
+};
+
+// Refuse a request while its account or IP address is locked out
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter
+  });
+};
+
+// Refuse to send another OTP before the last one's cooldown has passed
+const otpCooldown = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Please wait ${retryAfter} seconds before requesting another OTP.`,
+    retryAfter
+  });
+};
+
+// Count a wrong OTP against the account and IP address and explain why it was refused
+const otpFailure = async (res, result, keys) => {
+  const retryAfter = await recordFailedAttempt(keys);
+  if (retryAfter) {
+    return tooManyAttempts(res, retryAfter);
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: result === 'exhausted'
+      ? 'Too many incorrect attempts. Please request a new OTP.'
+      : 'Invalid or expired OTP'
+  });
+};
+
+// Count a wrong two-factor code against the account and IP address
+const twoFactorFailure = async (res, keys, status = 400) => {
+  const retryAfter = await recordFailedAttempt(keys);
+  if (retryAfter) {
+    return tooManyAttempts(res, retryAfter);
+  }
+
+  return res.status(status).json({
+    success: false,
+    message: 'Invalid two-factor code'
+  });
+};
 
 const router = express.Router();
 
@@ -16,8 +99,14 @@ router.post(
     body('email', 'Please include a valid email').isEmail(),
     body('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
     body('fullName', 'Full name is required').not().isEmpty(),
-    body('phoneNumber', 'Phone number is required').not().isEmpty(),
-    body('village', 'Village name is required').not().isEmpty()
+    body('phoneNumber', 'Please provide a valid phone number')
+      .custom(isValidPhoneNumber)
+      .customSanitizer((value) => normalizePhoneNumber(value)),
+    body('village', 'Village name is required').not().isEmpty(),
+    body('preferredLanguage', `Preferred language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`)
+      .optional()
+      .isIn(SUPPORTED_LANGUAGES),
+    body('inviteCode', 'Invite code must be a string').optional().isString()
   ],
   async (req, res) => {
     // Check for validation errors
@@ -26,11 +115,31 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, email, password, fullName, phoneNumber, village, address, fatherName } = req.body;
+    const {
+      inviteCode,
+      username,
+      email,
+      password,
+      fullName,
+      phoneNumber,
+      village,
+      address,
+      fatherName,
+      preferredLanguage
+    } = req.body;
 
     try {
-      // Check if user already exists
-      let user = await User.findOne({ email });
+      // An invite links the new account to the lender's loans, so it must be checked before signing up
+      const invite = inviteCode ? await findInviteByCode(inviteCode) : null;
+      if (inviteCode && (!invite || !invite.isUsable())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invite is invalid, has expired or has already been used'
+        });
+      }
+
+      // Check if user already exists (deleted accounts still hold their email and username)
+      let user = await User.findOne({ email }).setOptions({ withDeleted: true });
       if (user) {
         return res.status(400).json({
           success: false,
@@ -39,7 +148,7 @@ router.post(
       }
 
       // Check if username is taken
-      user = await User.findOne({ username });
+      user = await User.findOne({ username }).setOptions({ withDeleted: true });
       if (user) {
         return res.status(400).json({
           success: false,
@@ -47,6 +156,15 @@ router.post(
         });
       }
 
+      // Check if phone number is registered
+      user = await User.findOne({ phoneNumber }).setOptions({ withDeleted: true });
+      if (user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number is already registered to another account'
+        });
+      }
+
       // Create user
       user = new User({
         username,
@@ -56,21 +174,44 @@ router.post(
         phoneNumber,
         village,
         address,
-        fatherName
+        fatherName,
+        preferredLanguage
       });
 
-      // Generate email verification token
-      const verificationToken = user.getEmailVerificationToken();
-      
-      await user.save();
+      // Receiving the invite proves the user holds the email or phone number it was sent to.
+      // A forwarded link proves nothing, so its loans wait until that contact is verified.
+      if (invite && invite.channel === 'email' && email.toLowerCase() === invite.recipient.toLowerCase()) {
+        user.isEmailVerified = true;
+      } else if (invite && invite.channel === 'sms' && phoneNumber === invite.recipient) {
+        user.isPhoneVerified = true;
+      }
 
-      // Send verification email
-      await sendVerificationEmail(email, fullName, verificationToken);
+      if (user.isEmailVerified) {
+        await user.save();
+      } else {
+        // Generate email verification token
+        const verificationToken = user.getEmailVerificationToken();
+
+        await user.save();
+
+        // Send verification email; resending has to wait for the cooldown
+        await startCooldown(`otp:email-verification:${user._id}`, getOtpCooldownSeconds());
+        await sendVerificationEmail(email, fullName, verificationToken, user.preferredLanguage);
+      }
+
+      const linkedLoans = invite ? await acceptInvite(invite, user) : null;
 
       res.status(201).json({
         success: true,
-        message: 'Registration successful! Please check your email for verification OTP.',
-        userId: user._id
+        message: user.isEmailVerified
+          ? 'Registration successful! Your email is verified, please log in.'
+          : 'Registration successful! Please check your email for verification OTP.',
+        userId: user._id,
+        isEmailVerified: user.isEmailVerified,
+        isPhoneVerified: user.isPhoneVerified,
+        // Loans from the inviting lender now linked to this account (null unless the invite was sent
+        // to this email or phone number; otherwise they are linked once that contact is verified)
+        linkedLoans
       });
     } catch (error) {
       console.error(error);
@@ -82,6 +223,48 @@ router.post(
   }
 );
 
+// @route   GET /api/auth/invites/:code
+// @desc    Look up an invite for the signup page (marks it opened)
+// @access  Public
+router.get('/invites/:code', async (req, res) => {
+  try {
+    const invite = await findInviteByCode(req.params.code);
+
+    if (!invite || !invite.isUsable()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite is invalid, has expired or has already been used'
+      });
+    }
+
+    await markInviteOpened(invite);
+    await invite.populate([
+      { path: 'lender', select: 'fullName' },
+      { path: 'transaction', select: 'amount' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        lenderName: invite.lender ? invite.lender.fullName : null,
+        borrower: invite.borrower,
+        amount: invite.transaction ? invite.transaction.amount : null,
+        channel: invite.channel,
+        // Lets the signup form fill in the email or phone number the invite went to
+        email: invite.channel === 'email' ? invite.recipient : null,
+        phoneNumber: invite.channel === 'sms' ? invite.recipient : null,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/verify-email
 // @desc    Verify email with OTP
 // @access  Public
@@ -98,8 +281,14 @@ router.post(
     }
 
     const { userId, otp } = req.body;
+    const limitKeys = attemptKeys('verify-email', req, userId);
 
     try {
+      const retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
+      }
+
       const user = await User.findById(userId);
 
       if (!user) {
@@ -109,17 +298,14 @@ router.post(
         });
       }
 
-      // Check if OTP matches and is not expired
-      if (
-        user.emailVerificationToken !== otp ||
-        user.emailVerificationExpire < Date.now()
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid or expired OTP'
-        });
+      // Check the OTP, using up one of its attempts
+      const result = await user.checkOtp('emailVerification', otp);
+      if (result !== 'valid') {
+        return await otpFailure(res, result, limitKeys);
       }
 
+      await clearFailedAttempts(limitKeys);
+
       // Check if this is a pending email verification
       const isEmailChange = !!user.pendingEmail;
       
@@ -130,20 +316,30 @@ router.post(
         user.pendingEmail = undefined; // Clear pending email
       }
       
-      // Mark email as verified and clear verification fields
+      // Mark email as verified (checkOtp has cleared the verification fields)
       user.isEmailVerified = true;
-      user.emailVerificationToken = undefined;
-      user.emailVerificationExpire = undefined;
 
       await user.save();
 
-      // Generate JWT
-      const token = user.getSignedJwtToken();
+      // Invites sent to this email can now be used
+      const linkedLoans = await acceptInvitesFor(user);
+
+      // With two-factor authentication on, an emailed OTP alone must not sign the user in
+      const { token, refreshToken, refreshTokenExpiresAt } = user.twoFactor.enabled
+        ? {}
+        : await createSession(user, req);
 
       res.json({
         success: true,
         message: isEmailChange ? 'Email updated and verified successfully' : 'Email verified successfully',
+        requiresLogin: user.twoFactor.enabled,
+        // Loans recorded before the user signed up, to review with GET /api/transactions/claimable
+        claimableLoans: await countClaimableLoans(user),
+        // Loans linked through invites sent to this email
+        linkedLoans,
         token,
+        refreshToken,
+        refreshTokenExpiresAt,
         user: {
           id: user._id,
           username: user.username,
@@ -154,7 +350,9 @@ router.post(
           address: user.address,
           fatherName: user.fatherName,
           role: user.role,
-          isEmailVerified: user.isEmailVerified
+          preferredLanguage: user.preferredLanguage,
+          isEmailVerified: user.isEmailVerified,
+          isPhoneVerified: user.isPhoneVerified
         }
       });
     } catch (error) {
@@ -198,12 +396,17 @@ router.post(
         });
       }
 
+      const cooldown = await startCooldown(`otp:email-verification:${user._id}`, getOtpCooldownSeconds());
+      if (cooldown) {
+        return otpCooldown(res, cooldown);
+      }
+
       // Generate new verification token
       const verificationToken = user.getEmailVerificationToken();
       await user.save();
 
       // Send verification email
-      await sendVerificationEmail(user.email, user.fullName, verificationToken);
+      await sendVerificationEmail(user.email, user.fullName, verificationToken, user.preferredLanguage);
 
       res.json({
         success: true,
@@ -220,13 +423,18 @@ router.post(
 );
 
 // @route   POST /api/auth/login
-// @desc    Login user & get token
+// @desc    Login user & get token (identify the account by username, email or phone number)
 // @access  Public
 router.post(
   '/login',
   [
-    body('username', 'Username is required').not().isEmpty(),
-    body('password', 'Password is required').exists()
+    // `username` is still accepted from older clients and may hold any of the three
+    oneOf(
+      [body('identifier').isString().trim().not().isEmpty(), body('username').isString().trim().not().isEmpty()],
+      { message: 'Username, email or phone number is required' }
+    ),
+    body('password', 'Password is required').exists(),
+    body('deviceName', 'Device name must be at most 100 characters').optional().isString().isLength({ max: 100 })
   ],
   async (req, res) => {
     // Check for validation errors
@@ -235,39 +443,52 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, password } = req.body;
+    const { password } = req.body;
+    const identifier = String(req.body.identifier || req.body.username).trim();
 
     try {
-      // Check if user exists
-      const user = await User.findOne({ username }).select('+password');
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
+      const user = await findLoginUser(identifier);
+
+      // Limit by account however it was identified, or by what was typed if there is no such
+      // account, so lockouts reveal nothing about which accounts exist
+      const limitKeys = attemptKeys('login', req, user ? user._id : identifier);
+
+      let retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
       }
 
-      // Check if password matches
-      const isMatch = await user.matchPassword(password);
-      if (!isMatch) {
+      // Check if user exists and password matches
+      if (!user || !(await user.matchPassword(password))) {
+        retryAfter = await recordFailedAttempt(limitKeys);
+        if (retryAfter) {
+          return tooManyAttempts(res, retryAfter);
+        }
+
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
+      await clearFailedAttempts(limitKeys);
+
       // Check if email is verified
       if (!user.isEmailVerified) {
-        // Generate new verification token
-        const verificationToken = user.getEmailVerificationToken();
-        await user.save();
+        // Send a new verification OTP unless one went out moments ago
+        const cooldown = await startCooldown(`otp:email-verification:${user._id}`, getOtpCooldownSeconds());
+        if (!cooldown) {
+          const verificationToken = user.getEmailVerificationToken();
+          await user.save();
 
-        // Send verification email
-        await sendVerificationEmail(user.email, user.fullName, verificationToken);
+          await sendVerificationEmail(user.email, user.fullName, verificationToken, user.preferredLanguage);
+        }
 
         return res.status(200).json({
           success: false,
-          message: 'Email not verified. A new verification OTP has been sent to your email.',
+          message: cooldown
+            ? 'Email not verified. Please enter the OTP recently sent to your email.'
+            : 'Email not verified. A new verification OTP has been sent to your email.',
           userId: user._id,
           requiresVerification: true,
           email: user.email,
@@ -275,12 +496,24 @@ router.post(
         });
       }
 
-      // Generate JWT
-      const token = user.getSignedJwtToken();
+      // With two-factor authentication on, the password only gets the user halfway
+      if (user.twoFactor.enabled) {
+        return res.status(200).json({
+          success: false,
+          message: 'Enter the code from your authenticator app or a recovery code.',
+          requiresTwoFactor: true,
+          twoFactorToken: user.getTwoFactorToken()
+        });
+      }
+
+      // Start a session for this device
+      const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
 
       res.json({
         success: true,
         token,
+        refreshToken,
+        refreshTokenExpiresAt,
         user: {
           id: user._id,
           username: user.username,
@@ -290,7 +523,8 @@ router.post(
           village: user.village,
           address: user.address,
           fatherName: user.fatherName,
-          role: user.role
+          role: user.role,
+          preferredLanguage: user.preferredLanguage
         }
       });
     } catch (error) {
@@ -303,41 +537,80 @@ router.post(
   }
 );
 
-// @route   POST /api/auth/forgot-password
-// @desc    Send password reset OTP
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a login with a two-factor code (send deviceName again to name the session)
 // @access  Public
 router.post(
-  '/forgot-password',
-  [body('email', 'Please include a valid email').isEmail()],
+  '/login/2fa',
+  [
+    body('twoFactorToken', 'Two-factor token is required').isString().not().isEmpty(),
+    body('code', 'Code is required').isString().not().isEmpty(),
+    body('deviceName', 'Device name must be at most 100 characters').optional().isString().isLength({ max: 100 })
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email } = req.body;
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.twoFactorToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'two_factor') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login expired. Please enter your password again.'
+      });
+    }
+
+    const limitKeys = attemptKeys('two-factor', req, decoded.id);
 
     try {
-      const user = await User.findOne({ email });
+      const retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
+      }
 
-      if (!user) {
-        return res.status(404).json({
+      const user = await User.findById(decoded.id);
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(401).json({
           success: false,
-          message: 'User with this email does not exist'
+          message: 'Login expired. Please enter your password again.'
         });
       }
 
-      // Generate reset token
-      const resetToken = user.getResetPasswordToken();
-      await user.save();
+      const method = await user.checkTwoFactorCode(req.body.code);
+      if (!method) {
+        return await twoFactorFailure(res, limitKeys, 401);
+      }
 
-      // Send password reset email
-      await sendPasswordResetEmail(user.email, user.fullName, resetToken);
+      await clearFailedAttempts(limitKeys);
+
+      // Start a session for this device
+      const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
 
       res.json({
         success: true,
-        message: 'Password reset OTP sent to your email',
-        userId: user._id
+        token,
+        refreshToken,
+        refreshTokenExpiresAt,
+        usedRecoveryCode: method === 'recovery',
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          fullName: user.fullName,
+          phoneNumber: user.phoneNumber,
+          village: user.village,
+          address: user.address,
+          fatherName: user.fatherName,
+          role: user.role,
+          preferredLanguage: user.preferredLanguage
+        }
       });
     } catch (error) {
       console.error(error);
@@ -349,55 +622,33 @@ router.post(
   }
 );
 
-// @route   POST /api/auth/reset-password
-// @desc    Reset password with OTP
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
 // @access  Public
 router.post(
-  '/reset-password',
-  [
-    body('userId', 'User ID is required').not().isEmpty(),
-    body('otp', 'OTP is required').isLength({ min: 6, max: 6 }),
-    body('password', 'Password must be at least 6 characters').isLength({ min: 6 })
-  ],
+  '/refresh',
+  [body('refreshToken', 'Refresh token is required').isString().not().isEmpty()],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { userId, otp, password } = req.body;
-
     try {
-      const user = await User.findById(userId);
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+      const tokens = await rotateSession(req.body.refreshToken, req);
 
-      // Check if OTP matches and is not expired
-      if (
-        user.resetPasswordToken !== otp ||
-        user.resetPasswordExpire < Date.now()
-      ) {
-        return res.status(400).json({
+      if (!tokens) {
+        return res.status(401).json({
           success: false,
-          message: 'Invalid or expired OTP'
+          message: 'Invalid or expired refresh token'
         });
       }
 
-      // Update password and clear reset fields
-      user.password = password;
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpire = undefined;
-
-      await user.save();
-
       res.json({
         success: true,
-        message: 'Password reset successful'
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
       });
     } catch (error) {
       console.error(error);
@@ -409,25 +660,16 @@ router.post(
   }
 );
 
-// @route   GET /api/auth/me
-// @desc    Get current logged in user
+// @route   POST /api/auth/logout
+// @desc    End the current session
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.post('/logout', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    await revokeSession(req.sessionId, 'logout');
+
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        fullName: user.fullName,
-        phoneNumber: user.phoneNumber,
-        village: user.village,
-        address: user.address,
-        fatherName: user.fatherName,
-        role: user.role
-      }
+      message: 'Logged out successfully'
     });
   } catch (error) {
     console.error(error);
@@ -438,62 +680,659 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/check-username
-// @desc    Check if username is available
-// @access  Public
-router.post('/check-username', 
-  [body('username', 'Username is required').not().isEmpty()],
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
 
-    try {
-      const { username } = req.body;
-      const user = await User.findOne({ username });
-      
-      res.json({
-        success: true,
-        available: !user
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out of every other device
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'revoked', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      revoked
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out of one device
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
       });
-    } catch (error) {
-      console.error(error);
-      res.status(500).json({
+    }
+
+    await revokeSession(session._id, session._id.equals(req.sessionId) ? 'logout' : 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
         success: false,
-        message: 'Server error'
+        message: 'Session not found'
       });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
   }
-);
+});
 
-// @route   POST /api/auth/validate-password
-// @desc    Validate password strength
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset OTP by email or SMS (find the account by email or verified phone number)
 // @access  Public
-router.post('/validate-password',
-  [body('password', 'Password is required').exists()],
+router.post(
+  '/forgot-password',
+  [
+    body('email', 'Please include a valid email').optional().isEmail(),
+    body('phoneNumber', 'Please provide a valid phone number')
+      .optional()
+      .custom(isValidPhoneNumber)
+      .customSanitizer((value) => normalizePhoneNumber(value)),
+    body('channel', `Channel must be one of: ${OTP_CHANNELS.join(', ')}`).optional().isIn(OTP_CHANNELS)
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { password } = req.body;
-    
-    // Password strength validation
-    const validations = {
-      minLength: password.length >= 8,
-      hasUpperCase: /[A-Z]/.test(password),
-      hasLowerCase: /[a-z]/.test(password),
-      hasNumber: /[0-9]/.test(password),
-      hasSpecialChar: /[!@#$%^&*(),.?":{}|<>]/.test(password)
-    };
-    
-    const strength = Object.values(validations).filter(Boolean).length;
-    
-    let strengthLevel = 'weak';
-    if (strength >= 5) {
-      strengthLevel = 'strong';
+    const { email, phoneNumber } = req.body;
+
+    if (!email && !phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone number is required'
+      });
+    }
+
+    // Send to whichever the user identified themselves by, unless they chose otherwise
+    const channel = req.body.channel || (email ? 'email' : 'sms');
+
+    try {
+      const user = email
+        ? await User.findOne({ email })
+        : await User.findOne({ phoneNumber, isPhoneVerified: true });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: email ? 'User with this email does not exist' : 'No account has verified this phone number'
+        });
+      }
+
+      // An OTP only goes to a phone number the user has proved they own
+      if (channel === 'sms' && !user.isPhoneVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number is not verified. Choose email instead.'
+        });
+      }
+
+      const cooldown = await startCooldown(`otp:reset-password:${user._id}`, getOtpCooldownSeconds());
+      if (cooldown) {
+        return otpCooldown(res, cooldown);
+      }
+
+      // Generate reset token
+      const resetToken = user.getResetPasswordToken();
+      await user.save();
+
+      if (channel === 'sms') {
+        await sendPasswordResetSms(user.phoneNumber, resetToken, user.preferredLanguage);
+      } else {
+        await sendPasswordResetEmail(user.email, user.fullName, resetToken, user.preferredLanguage);
+      }
+
+      res.json({
+        success: true,
+        message: channel === 'sms' ? 'Password reset OTP sent to your phone' : 'Password reset OTP sent to your email',
+        channel,
+        userId: user._id
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with OTP
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    body('userId', 'User ID is required').not().isEmpty(),
+    body('otp', 'OTP is required').isLength({ min: 6, max: 6 }),
+    body('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, otp, password } = req.body;
+    const limitKeys = attemptKeys('reset-password', req, userId);
+
+    try {
+      const retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
+      }
+
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Check the OTP, using up one of its attempts
+      const result = await user.checkOtp('resetPassword', otp);
+      if (result !== 'valid') {
+        return await otpFailure(res, result, limitKeys);
+      }
+
+      // Update password (checkOtp has cleared the reset fields)
+      user.password = password;
+
+      await user.save();
+      await clearFailedAttempts(limitKeys);
+
+      // Whoever knew the old password may still be signed in somewhere
+      await revokeAllSessions(user._id, 'password_reset');
+
+      res.json({
+        success: true,
+        message: 'Password reset successful'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/me
+// @desc    Get current logged in user
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        fullName: user.fullName,
+        phoneNumber: user.phoneNumber,
+        village: user.village,
+        address: user.address,
+        fatherName: user.fatherName,
+        role: user.role,
+        preferredLanguage: user.preferredLanguage,
+        isEmailVerified: user.isEmailVerified,
+        isPhoneVerified: user.isPhoneVerified,
+        twoFactorEnabled: user.twoFactor.enabled
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/send-otp
+// @desc    Send a phone verification OTP by SMS
+// @access  Private
+router.post('/phone/send-otp', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isPhoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const cooldown = await startCooldown(`otp:phone-verification:${user._id}`, getOtpCooldownSeconds());
+    if (cooldown) {
+      return otpCooldown(res, cooldown);
+    }
+
+    // Generate verification token
+    const verificationToken = user.getPhoneVerificationToken();
+    await user.save();
+
+    await sendPhoneVerificationSms(user.phoneNumber, verificationToken, user.preferredLanguage);
+
+    res.json({
+      success: true,
+      message: 'Verification OTP sent to your phone'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Verify phone number with OTP
+// @access  Private
+router.post(
+  '/phone/verify',
+  [protect, [body('otp', 'OTP is required').isLength({ min: 6, max: 6 })]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limitKeys = attemptKeys('verify-phone', req, req.user.id);
+
+    try {
+      const retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
+      }
+
+      const user = await User.findById(req.user.id);
+
+      // Check the OTP, using up one of its attempts
+      const result = await user.checkOtp('phoneVerification', req.body.otp);
+      if (result !== 'valid') {
+        return await otpFailure(res, result, limitKeys);
+      }
+
+      await clearFailedAttempts(limitKeys);
+
+      // Mark phone as verified (checkOtp has cleared the verification fields)
+      user.isPhoneVerified = true;
+
+      await user.save();
+
+      // Invites sent to this number can now be used
+      const linkedLoans = await acceptInvitesFor(user);
+
+      res.json({
+        success: true,
+        message: 'Phone number verified successfully',
+        phoneNumber: user.phoneNumber,
+        isPhoneVerified: true,
+        // A verified number can find more loans recorded before the user signed up
+        claimableLoans: await countClaimableLoans(user),
+        // Loans linked through invites sent to this number
+        linkedLoans
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enabling two-factor authentication; returns the secret and otpauth URL to show as a QR code
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from it',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.username)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm the secret from setup with a code and turn on two-factor authentication
+// @access  Private
+router.post(
+  '/2fa/enable',
+  [protect, [body('code', 'Code is required').isString().not().isEmpty()]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limitKeys = attemptKeys('two-factor', req, req.user.id);
+
+    try {
+      const retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
+      }
+
+      const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+
+      if (!(await user.checkTwoFactorCode(req.body.code, 'pendingSecret'))) {
+        return await twoFactorFailure(res, limitKeys);
+      }
+
+      await clearFailedAttempts(limitKeys);
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = Date.now();
+      const recoveryCodes = user.generateRecoveryCodes();
+
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (needs a current code or a recovery code)
+// @access  Private
+router.post(
+  '/2fa/disable',
+  [protect, [body('code', 'Code is required').isString().not().isEmpty()]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limitKeys = attemptKeys('two-factor', req, req.user.id);
+
+    try {
+      const retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
+      }
+
+      const user = await User.findById(req.user.id);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await user.checkTwoFactorCode(req.body.code))) {
+        return await twoFactorFailure(res, limitKeys);
+      }
+
+      await clearFailedAttempts(limitKeys);
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.secret = undefined;
+      user.twoFactor.recoveryCodes = undefined;
+      user.twoFactor.enabledAt = undefined;
+
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (needs a current code or a recovery code)
+// @access  Private
+router.post(
+  '/2fa/recovery-codes',
+  [protect, [body('code', 'Code is required').isString().not().isEmpty()]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limitKeys = attemptKeys('two-factor', req, req.user.id);
+
+    try {
+      const retryAfter = await getLockout(limitKeys);
+      if (retryAfter) {
+        return tooManyAttempts(res, retryAfter);
+      }
+
+      const user = await User.findById(req.user.id);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await user.checkTwoFactorCode(req.body.code))) {
+        return await twoFactorFailure(res, limitKeys);
+      }
+
+      await clearFailedAttempts(limitKeys);
+
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. The old ones no longer work.',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/check-username
+// @desc    Check if username is available
+// @access  Public
+router.post('/check-username', 
+  [body('username', 'Username is required').not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { username } = req.body;
+      const user = await User.findOne({ username }).setOptions({ withDeleted: true });
+      
+      res.json({
+        success: true,
+        available: !user
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/validate-password
+// @desc    Validate password strength
+// @access  Public
+router.post('/validate-password',
+  [body('password', 'Password is required').exists()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password } = req.body;
+    
+    // Password strength validation
+    const validations = {
+      minLength: password.length >= 8,
+      hasUpperCase: /[A-Z]/.test(password),
+      hasLowerCase: /[a-z]/.test(password),
+      hasNumber: /[0-9]/.test(password),
+      hasSpecialChar: /[!@#$%^&*(),.?":{}|<>]/.test(password)
+    };
+    
+    const strength = Object.values(validations).filter(Boolean).length;
+    
+    let strengthLevel = 'weak';
+    if (strength >= 5) {
+      strengthLevel = 'strong';
     } else if (strength >= 3) {
       strengthLevel = 'medium';
     }
@@ -515,11 +1354,17 @@ router.put(
   protect,
   [
     body('fullName', 'Full name is required').optional().not().isEmpty(),
-    body('phoneNumber', 'Phone number is required').optional().not().isEmpty(),
+    body('phoneNumber', 'Please provide a valid phone number')
+      .optional()
+      .custom(isValidPhoneNumber)
+      .customSanitizer((value) => normalizePhoneNumber(value)),
     body('village', 'Village name is required').optional().not().isEmpty(),
     body('address').optional(),
     body('fatherName').optional(),
-    body('email', 'Please include a valid email').optional().isEmail()
+    body('email', 'Please include a valid email').optional().isEmail(),
+    body('preferredLanguage', `Preferred language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`)
+      .optional()
+      .isIn(SUPPORTED_LANGUAGES)
   ],
   async (req, res) => {
     // Check for validation errors
@@ -529,7 +1374,7 @@ router.put(
     }
 
     try {
-      const { fullName, phoneNumber, village, address, fatherName, email } = req.body;
+      const { fullName, phoneNumber, village, address, fatherName, email, preferredLanguage } = req.body;
 
       // If email is being updated, check if it's already in use
       if (email && email !== req.user.email) {
@@ -542,13 +1387,27 @@ router.put(
         }
       }
 
+      // Phone numbers are unique, like emails
+      if (phoneNumber && phoneNumber !== req.user.phoneNumber) {
+        const existingUser = await User.findOne({ phoneNumber }).setOptions({ withDeleted: true });
+        if (existingUser) {
+          return res.status(400).json({
+            success: false,
+            message: 'Phone number already in use by another account'
+          });
+        }
+      }
+
       // Build profile update object
       const profileFields = {};
       if (fullName) profileFields.fullName = fullName;
       if (phoneNumber) profileFields.phoneNumber = phoneNumber;
+      // A new phone number has to be verified again
+      if (phoneNumber && phoneNumber !== req.user.phoneNumber) profileFields.isPhoneVerified = false;
       if (village) profileFields.village = village;
       if (address !== undefined) profileFields.address = address;
       if (fatherName !== undefined) profileFields.fatherName = fatherName;
+      if (preferredLanguage) profileFields.preferredLanguage = preferredLanguage;
       
       // Handle email update separately (if provided)
       let updatedUser;
@@ -562,15 +1421,19 @@ router.put(
         
         // Apply other profile updates
         if (fullName) updatedUser.fullName = fullName;
-        if (phoneNumber) updatedUser.phoneNumber = phoneNumber;
+        if (phoneNumber && phoneNumber !== updatedUser.phoneNumber) {
+          updatedUser.phoneNumber = phoneNumber;
+          updatedUser.isPhoneVerified = false;
+        }
         if (village) updatedUser.village = village;
         if (address !== undefined) updatedUser.address = address;
         if (fatherName !== undefined) updatedUser.fatherName = fatherName;
+        if (preferredLanguage) updatedUser.preferredLanguage = preferredLanguage;
         
         await updatedUser.save();
         
         // Send verification email to the new/pending email
-        await sendVerificationEmail(email, updatedUser.fullName, verificationToken);
+        await sendVerificationEmail(email, updatedUser.fullName, verificationToken, updatedUser.preferredLanguage);
         
         return res.json({
           success: true,
@@ -588,7 +1451,9 @@ router.put(
             address: updatedUser.address,
             fatherName: updatedUser.fatherName,
             role: updatedUser.role,
-            isEmailVerified: updatedUser.isEmailVerified
+            preferredLanguage: updatedUser.preferredLanguage,
+            isEmailVerified: updatedUser.isEmailVerified,
+            isPhoneVerified: updatedUser.isPhoneVerified
           }
         });
       } else {
@@ -613,7 +1478,9 @@ router.put(
             address: updatedUser.address,
             fatherName: updatedUser.fatherName,
             role: updatedUser.role,
-            isEmailVerified: updatedUser.isEmailVerified
+            preferredLanguage: updatedUser.preferredLanguage,
+            isEmailVerified: updatedUser.isEmailVerified,
+            isPhoneVerified: updatedUser.isPhoneVerified
           }
         });
       }
@@ -627,4 +1494,72 @@ router.put(
   }
 );
 
+// @route   GET /api/auth/reminders
+// @desc    Get reminder email preferences
+// @access  Private
+router.get('/reminders', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('reminderPreferences');
+
+    res.json({
+      success: true,
+      reminderPreferences: user.reminderPreferences
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/reminders
+// @desc    Update reminder email preferences
+// @access  Private
+router.put(
+  '/reminders',
+  protect,
+  [
+    body('enabled', 'Enabled must be true or false').optional().isBoolean(),
+    body('leadDays', 'Lead days must be a whole number from 0 to 30').optional().isInt({ min: 0, max: 30 }),
+    body('lenderDigest', 'Lender digest must be true or false').optional().isBoolean()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { enabled, leadDays, lenderDigest } = req.body;
+
+      const updates = {};
+      if (enabled !== undefined) updates['reminderPreferences.enabled'] = enabled === true || enabled === 'true';
+      if (leadDays !== undefined) updates['reminderPreferences.leadDays'] = Number(leadDays);
+      if (lenderDigest !== undefined) {
+        updates['reminderPreferences.lenderDigest'] = lenderDigest === true || lenderDigest === 'true';
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: updates },
+        { new: true, runValidators: true }
+      ).select('reminderPreferences');
+
+      res.json({
+        success: true,
+        reminderPreferences: user.reminderPreferences
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
 export default router; 
\ No newline at end of file
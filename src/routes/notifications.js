@@ -0,0 +1,221 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { protect } from '../middleware/auth.js';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// @route   GET /api/notifications
+// @desc    List the logged-in user's notifications, newest first (?unread=true, page, limit)
+// @access  Private
+router.get(
+  '/',
+  [
+    protect,
+    [
+      query('unread', 'Unread must be true or false').optional().isBoolean(),
+      query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+      query('limit', `Limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = req.query.page ? Number(req.query.page) : 1;
+      const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_PAGE_SIZE;
+
+      const filter = { user: req.user.id };
+      if (req.query.unread === 'true') {
+        filter.read = false;
+      }
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('actor', 'username fullName'),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ user: req.user.id, read: false })
+      ]);
+
+      res.json({
+        success: true,
+        count: notifications.length,
+        total,
+        unreadCount,
+        page,
+        pages: Math.ceil(total / limit),
+        data: notifications
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Count the logged-in user's unread notifications
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, read: false });
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all of the logged-in user's notifications as read
+// @access  Private
+router.post('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get which notification events are also sent by email
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      types: NOTIFICATION_TYPES,
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Choose which notification events are also sent by email ({ email: { type: true|false } })
+// @access  Private
+router.put(
+  '/preferences',
+  [
+    protect,
+    [
+      body('email', 'Email preferences must be an object').isObject(),
+      body('email', `Email preferences can only include: ${NOTIFICATION_TYPES.join(', ')}`)
+        .custom((value) => Object.keys(value || {}).every((type) => NOTIFICATION_TYPES.includes(type))),
+      body('email.*', 'Each email preference must be true or false').isBoolean()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const updates = {};
+      Object.entries(req.body.email).forEach(([type, enabled]) => {
+        updates[`notificationPreferences.email.${type}`] = enabled === true || enabled === 'true';
+      });
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: updates },
+        { new: true, runValidators: true }
+      ).select('notificationPreferences');
+
+      res.json({
+        success: true,
+        data: user.notificationPreferences
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
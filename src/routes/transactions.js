@@ -1,11 +1,50 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
 import { protect } from '../middleware/auth.js';
-import Transaction from '../models/Transaction.js';
+import Transaction, {
+  ACCEPTED_STATUSES,
+  TRANSACTION_STATUSES,
+  PAYMENT_CANCEL_REASONS
+} from '../models/Transaction.js';
 import User from '../models/User.js';
+import TransactionHistory from '../models/TransactionHistory.js';
+import Invite, { INVITE_CHANNELS, INVITE_STATUSES } from '../models/Invite.js';
+import {
+  INTEREST_TYPES,
+  COMPOUNDING_FREQUENCIES,
+  RATE_UNITS,
+  RATE_PERIODS,
+  getAnnualRate
+} from '../utils/interestCalculator.js';
+import { generateSchedule, REPAYMENT_PLANS } from '../utils/repaymentSchedule.js';
+import {
+  buildListFilters,
+  combineFilters,
+  participantFilter,
+  encodeCursor,
+  cursorFilter,
+  SORT_FIELDS,
+  DATE_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+} from '../utils/transactionQuery.js';
+import { buildPortfolioSummary } from '../utils/portfolioSummary.js';
+import { buildCounterpartyLedger } from '../utils/counterpartyLedger.js';
+import { buildStatement, statementToCsv, statementToPdf } from '../utils/statement.js';
+import { prepareImport, commitImport, isTransactionUnsupportedError } from '../utils/ledgerImport.js';
+import { notify, notifyStatusChange } from '../utils/notifications.js';
+import { normalizePhoneNumber, isValidPhoneNumber } from '../utils/phone.js';
+import { claimableFilter, claimMatchedBy } from '../utils/loanClaims.js';
+import { sendInvite, INVITE_COOLDOWN_SECONDS } from '../utils/invites.js';
+import { startCooldown } from '../utils/rateLimit.js';
+import { SUPPORTED_LANGUAGES } from '../utils/templates.js';
 
 const router = express.Router();
 
+// Statuses a lender may set on an accepted loan
+const LENDER_STATUSES = ['active', 'defaulted'];
+
 // @route   POST /api/transactions
 // @desc    Create a new transaction
 // @access  Private
@@ -15,10 +54,41 @@ router.post(
     protect,
     [
       body('borrower', 'Borrower username is required').not().isEmpty(),
+      body('borrowerPhone', 'Please provide a valid borrower phone number')
+        .optional({ values: 'falsy' })
+        .custom(isValidPhoneNumber)
+        .customSanitizer((value) => normalizePhoneNumber(value)),
       body('amount', 'Amount is required').isNumeric(),
       body('interestRate', 'Interest rate is required').isNumeric(),
       body('dueDate', 'Due date is required').not().isEmpty(),
-      body('startDate', 'Start date is required').not().isEmpty()
+      body('startDate', 'Start date is required').not().isEmpty(),
+      body('interestType', `Interest type must be one of: ${INTEREST_TYPES.join(', ')}`)
+        .optional()
+        .isIn(INTEREST_TYPES),
+      body('compoundingFrequency', `Compounding frequency must be one of: ${COMPOUNDING_FREQUENCIES.join(', ')}`)
+        .optional()
+        .isIn(COMPOUNDING_FREQUENCIES),
+      body('interestRateUnit', `Interest rate unit must be one of: ${RATE_UNITS.join(', ')}`)
+        .optional()
+        .isIn(RATE_UNITS),
+      body('interestRatePeriod', `Interest rate period must be one of: ${RATE_PERIODS.join(', ')}`)
+        .optional()
+        .isIn(RATE_PERIODS),
+      body('repaymentPlan', `Repayment plan must be one of: ${REPAYMENT_PLANS.join(', ')}`)
+        .optional()
+        .isIn(REPAYMENT_PLANS),
+      body('installmentCount', 'Installment count must be between 1 and 360')
+        .optional()
+        .isInt({ min: 1, max: 360 }),
+      body('installments', 'Installments must be a non-empty list')
+        .if(body('repaymentPlan').equals('custom'))
+        .isArray({ min: 1 }),
+      body('installments.*.dueDate', 'Each installment needs a valid due date')
+        .if(body('repaymentPlan').equals('custom'))
+        .isISO8601(),
+      body('installments.*.amount', 'Each installment needs a positive amount')
+        .if(body('repaymentPlan').equals('custom'))
+        .isFloat({ gt: 0 })
     ]
   ],
   async (req, res) => {
@@ -29,7 +99,22 @@ router.post(
     }
 
     try {
-      const { borrower, amount, interestRate, dueDate, startDate, description } = req.body;
+      const {
+        borrower,
+        borrowerPhone,
+        amount,
+        interestRate,
+        interestRateUnit,
+        interestRatePeriod,
+        interestType,
+        compoundingFrequency,
+        dueDate,
+        startDate,
+        description,
+        repaymentPlan,
+        installmentCount,
+        installments
+      } = req.body;
 
       // Check if borrower username exists in the database
       const borrowerUser = await User.findOne({ username: borrower });
@@ -40,19 +125,63 @@ router.post(
         borrower,
         amount,
         interestRate,
+        interestRateUnit,
+        interestRatePeriod,
+        interestType,
+        compoundingFrequency,
         startDate: new Date(startDate),
         dueDate: new Date(dueDate),
-        description
+        description,
+        repaymentPlan
       });
 
-      // If borrower exists in the database, link their ID
+      // Generate the installment schedule, which then decides the final due date
+      if (repaymentPlan && repaymentPlan !== 'single') {
+        const schedule = generateSchedule({
+          plan: repaymentPlan,
+          amount: newTransaction.amount,
+          annualRate: getAnnualRate(newTransaction),
+          startDate: newTransaction.startDate,
+          dueDate: newTransaction.dueDate,
+          installmentCount,
+          customInstallments: installments
+        });
+
+        const scheduledTotal = schedule.reduce((sum, installment) => sum + installment.amount, 0);
+        if (scheduledTotal < newTransaction.amount) {
+          return res.status(400).json({
+            success: false,
+            message: 'Installments must add up to at least the loan amount'
+          });
+        }
+
+        newTransaction.installments = schedule;
+        newTransaction.dueDate = schedule[schedule.length - 1].dueDate;
+      }
+
+      // Record the lender as the creator in the transaction history
+      newTransaction.$locals.changedBy = req.user.id;
+
+      // If borrower exists in the database, link their ID and wait for them to accept the loan
       if (borrowerUser) {
         newTransaction.borrowerId = borrowerUser._id;
+        newTransaction.status = 'pending';
+      } else if (borrowerPhone) {
+        // Kept so the borrower can find and claim the loan once they sign up
+        newTransaction.borrowerPhone = borrowerPhone;
       }
 
       // Save transaction
       const transaction = await newTransaction.save();
 
+      await notify({
+        user: transaction.borrowerId,
+        type: 'loan_created',
+        vars: { actorName: req.user.fullName, amount: transaction.amount },
+        transaction,
+        actor: req.user.id
+      });
+
       res.status(201).json({
         success: true,
         data: transaction,
@@ -68,148 +197,269 @@ router.post(
   }
 );
 
-// @route   GET /api/transactions
-// @desc    Get all transactions for the logged-in user (as lender)
+// @route   POST /api/transactions/import
+// @desc    Import loans and their historical payments from CSV (text/csv body,
+//          or JSON { csv }). ?dryRun=true validates and previews without saving;
+//          otherwise all rows are saved together or none are, which needs MongoDB
+//          running as a replica set.
 // @access  Private
-router.get('/', protect, async (req, res) => {
-  try {
-    // Get transactions where the user is the lender
-    const lenderTransactions = await Transaction.find({ lender: req.user.id })
-      .sort({ createdAt: -1 });
-
-    // Get transactions where the user is the borrower (by ID)
-    const borrowerTransactions = await Transaction.find({ borrowerId: req.user.id })
-      .sort({ createdAt: -1 });
-
-    // Get transactions where the user is the borrower (by username)
-    const borrowerByUsernameTransactions = await Transaction.find({ 
-      borrower: req.user.username,
-      borrowerId: { $ne: req.user.id } // Avoid duplicates with borrowerId matches
-    }).sort({ createdAt: -1 });
+router.post(
+  '/import',
+  [protect, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' })],
+  async (req, res) => {
+    const csvText = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
 
-    // Combine all transactions
-    const allTransactions = [
-      ...lenderTransactions.map(t => ({ ...t.toObject(), role: 'lender' })),
-      ...borrowerTransactions.map(t => ({ ...t.toObject(), role: 'borrower' })),
-      ...borrowerByUsernameTransactions.map(t => ({ ...t.toObject(), role: 'borrower' }))
-    ];
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the CSV as a text/csv body or as { csv } in JSON'
+      });
+    }
 
-    // Sort by created date (newest first)
-    allTransactions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const { loans, errors, preview } = await prepareImport(req.user, csvText);
 
-    res.json({
-      success: true,
-      count: allTransactions.length,
-      data: allTransactions
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Import has errors; nothing was saved',
+          errors,
+          data: preview
+        });
+      }
 
-// @route   GET /api/transactions/:id
-// @desc    Get transaction by ID
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
-  try {
-    const transaction = await Transaction.findById(req.params.id);
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          count: preview.length,
+          data: preview
+        });
+      }
 
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'Transaction not found'
-      });
-    }
+      const saved = await commitImport(req.user, loans);
 
-    // Check if user is authorized to view this transaction
-    const isLender = transaction.lender.toString() === req.user.id;
-    const isBorrower = 
-      (transaction.borrowerId && transaction.borrowerId.toString() === req.user.id) || 
-      transaction.borrower === req.user.username;
+      for (const transaction of saved) {
+        await notify({
+          user: transaction.borrowerId,
+          type: 'loan_created',
+          vars: { actorName: req.user.fullName, amount: transaction.amount },
+          transaction,
+          actor: req.user.id
+        });
+      }
 
-    if (!isLender && !isBorrower) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to view this transaction'
+      res.status(201).json({
+        success: true,
+        count: saved.length,
+        data: preview.map((item, index) => ({ ...item, id: saved[index]._id }))
       });
-    }
-
-    res.json({
-      success: true,
-      data: transaction,
-      role: isLender ? 'lender' : 'borrower'
-    });
-  } catch (error) {
-    console.error(error);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({
+    } catch (error) {
+      console.error(error);
+      if (isTransactionUnsupportedError(error)) {
+        return res.status(503).json({
+          success: false,
+          message: 'Import needs MongoDB running as a replica set; nothing was saved'
+        });
+      }
+      res.status(500).json({
         success: false,
-        message: 'Transaction not found'
+        message: 'Server error'
       });
     }
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
   }
-});
+);
 
-// @route   PUT /api/transactions/:id
-// @desc    Update transaction
+// @route   GET /api/transactions
+// @desc    List the logged-in user's transactions (as lender or borrower) with
+//          filters (role, status, counterparty, minAmount, maxAmount, from, to,
+//          dateField), sorting (sortBy, order) and cursor pagination (limit, cursor)
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
-  try {
-    let transaction = await Transaction.findById(req.params.id);
+router.get(
+  '/',
+  [
+    protect,
+    [
+      query('role', 'Role must be lender or borrower').optional().isIn(['lender', 'borrower']),
+      query('status', 'Status must be a comma-separated list of statuses')
+        .optional()
+        .custom((value) => value.split(',').every((status) => TRANSACTION_STATUSES.includes(status))),
+      query('counterparty', 'Counterparty cannot be empty').optional().not().isEmpty(),
+      query('minAmount', 'Minimum amount must be a number').optional().isNumeric(),
+      query('maxAmount', 'Maximum amount must be a number').optional().isNumeric(),
+      query('from', 'From must be a valid date').optional().isISO8601(),
+      query('to', 'To must be a valid date').optional().isISO8601(),
+      query('dateField', `Date field must be one of: ${DATE_FIELDS.join(', ')}`).optional().isIn(DATE_FIELDS),
+      query('sortBy', `Sort field must be one of: ${SORT_FIELDS.join(', ')}`).optional().isIn(SORT_FIELDS),
+      query('order', 'Order must be asc or desc').optional().isIn(['asc', 'desc']),
+      query('limit', `Limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!transaction) {
-      return res.status(404).json({
+    try {
+      const sortBy = req.query.sortBy || 'createdAt';
+      const direction = req.query.order === 'asc' ? 1 : -1;
+      const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_PAGE_SIZE;
+      const userId = new mongoose.Types.ObjectId(req.user.id);
+
+      const filters = await buildListFilters(req.user, req.query);
+      const listFilter = combineFilters(req.user, filters);
+
+      // Resume after the last item of the previous page
+      const pageFilter = { ...listFilter, $and: [...listFilter.$and] };
+      if (req.query.cursor) {
+        const afterCursor = cursorFilter(req.query.cursor, sortBy, direction);
+        if (!afterCursor) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor'
+          });
+        }
+        pageFilter.$and.push(afterCursor);
+      }
+
+      // Fetch one extra item to know whether there is another page
+      const page = await Transaction.find(pageFilter)
+        .sort({ [sortBy]: direction, _id: direction })
+        .limit(limit + 1);
+
+      const hasMore = page.length > limit;
+      const transactions = page.slice(0, limit).map(t => ({
+        ...t.toObject(),
+        role: t.lender.toString() === req.user.id ? 'lender' : 'borrower'
+      }));
+
+      const groupByRole = { $cond: [{ $eq: ['$lender', userId] }, 'lender', 'borrower'] };
+
+      // Totals for the current filters, and counts per status and role with every other filter applied
+      const [facets] = await Transaction.aggregate([
+        { $match: participantFilter(req.user) },
+        {
+          $facet: {
+            total: [{ $match: listFilter }, { $count: 'count' }],
+            byStatus: [
+              { $match: combineFilters(req.user, filters, 'status') },
+              { $group: { _id: '$status', count: { $sum: 1 } } }
+            ],
+            byRole: [
+              { $match: combineFilters(req.user, filters, 'role') },
+              { $group: { _id: groupByRole, count: { $sum: 1 } } }
+            ],
+            // Only loans the borrower has accepted count toward balances
+            balances: [
+              { $match: { status: { $in: ACCEPTED_STATUSES } } },
+              {
+                $group: {
+                  _id: groupByRole,
+                  amount: { $sum: '$amount' },
+                  remainingAmount: { $sum: '$remainingAmount' }
+                }
+              }
+            ]
+          }
+        }
+      ]);
+
+      const toCounts = (groups) =>
+        Object.fromEntries(groups.map((group) => [group._id, group.count]));
+      const lent = facets.balances.find((group) => group._id === 'lender') || {};
+      const borrowed = facets.balances.find((group) => group._id === 'borrower') || {};
+
+      res.json({
+        success: true,
+        count: transactions.length,
+        total: facets.total.length > 0 ? facets.total[0].count : 0,
+        counts: {
+          byStatus: toCounts(facets.byStatus),
+          byRole: toCounts(facets.byRole)
+        },
+        balances: {
+          totalLent: lent.amount || 0,
+          totalBorrowed: borrowed.amount || 0,
+          toReceive: lent.remainingAmount || 0,
+          toPay: borrowed.remainingAmount || 0
+        },
+        nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1], sortBy) : null,
+        data: transactions
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
-        message: 'Transaction not found'
+        message: 'Server error'
       });
     }
+  }
+);
 
-    // Check if user is the lender of this transaction
-    if (transaction.lender.toString() !== req.user.id) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to update this transaction'
-      });
+// @route   GET /api/transactions/invites
+// @desc    Invites the lender has sent and whether each was opened or led to a signup
+// @access  Private
+router.get(
+  '/invites',
+  [
+    protect,
+    [
+      query('status', `Status must be one of: ${INVITE_STATUSES.join(', ')}`).optional().isIn(INVITE_STATUSES),
+      query('transactionId', 'Transaction ID is invalid').optional().isMongoId()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Update transaction fields
-    const { amount, interestRate, dueDate, startDate, status, description } = req.body;
+    try {
+      const filter = { lender: req.user._id };
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.transactionId) filter.transaction = req.query.transactionId;
 
-    if (amount) transaction.amount = amount;
-    if (interestRate) transaction.interestRate = interestRate;
-    if (dueDate) transaction.dueDate = new Date(dueDate);
-    if (startDate) transaction.startDate = new Date(startDate);
-    if (status) transaction.status = status;
-    if (description) transaction.description = description;
+      const invites = await Invite.find(filter)
+        .populate('joinedUser', 'username fullName')
+        .sort({ createdAt: -1 });
 
-    // If borrower username is updated, check if it exists in the database
-    if (req.body.borrower) {
-      transaction.borrower = req.body.borrower;
-      
-      // Check if borrower username exists in the database
-      const borrowerUser = await User.findOne({ username: req.body.borrower });
-      
-      if (borrowerUser) {
-        transaction.borrowerId = borrowerUser._id;
-      } else {
-        transaction.borrowerId = null;
-      }
+      res.json({
+        success: true,
+        count: invites.length,
+        data: invites.map((invite) => ({
+          ...invite.toObject(),
+          expired: invite.status !== 'joined' && invite.expiresAt <= new Date()
+        }))
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
     }
+  }
+);
 
-    // Save updated transaction
-    await transaction.save();
+// @route   GET /api/transactions/claimable
+// @desc    Loans recorded before the user signed up that match their username or verified phone number
+// @access  Private
+router.get('/claimable', protect, async (req, res) => {
+  try {
+    const transactions = await Transaction.find(claimableFilter(req.user))
+      .populate('lender', 'username fullName')
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      data: transaction
+      count: transactions.length,
+      data: transactions.map((transaction) => ({
+        ...transaction.toObject(),
+        matchedBy: claimMatchedBy(transaction, req.user)
+      }))
     });
   } catch (error) {
     console.error(error);
@@ -220,33 +470,62 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/transactions/:id
-// @desc    Delete transaction
+// @route   GET /api/transactions/summary
+// @desc    Dashboard totals: lent, borrowed, outstanding, overdue, due soon and a monthly chart
 // @access  Private
-router.delete('/:id', protect, async (req, res) => {
-  try {
-    const transaction = await Transaction.findById(req.params.id);
+router.get(
+  '/summary',
+  [protect, [query('months', 'Months must be between 1 and 36').optional().isInt({ min: 1, max: 36 })]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: 'Transaction not found'
+    try {
+      const summary = await buildPortfolioSummary(req.user, {
+        months: req.query.months ? Number(req.query.months) : 12
       });
-    }
 
-    // Check if user is the lender of this transaction
-    if (transaction.lender.toString() !== req.user.id) {
-      return res.status(401).json({
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
         success: false,
-        message: 'Not authorized to delete this transaction'
+        message: 'Server error'
       });
     }
+  }
+);
+
+// Routes with a fixed first segment stay above the /:id routes, so a name such as
+// "history" cannot be taken for a transaction ID
 
-    await Transaction.findByIdAndRemove(req.params.id);
+// @route   GET /api/transactions/counterparty/:name
+// @desc    Two-way ledger, net balance and settlement suggestion with one person
+//          (a username or an unregistered borrower name)
+// @access  Private
+router.get('/counterparty/:name', protect, async (req, res) => {
+  try {
+    const ledger = await buildCounterpartyLedger(req.user, req.params.name);
+    const counterpartyUser = await User.findOne({ username: req.params.name });
 
     res.json({
       success: true,
-      message: 'Transaction removed'
+      registered: !!counterpartyUser,
+      user: counterpartyUser
+        ? {
+          id: counterpartyUser._id,
+          username: counterpartyUser.username,
+          fullName: counterpartyUser.fullName,
+          fatherName: counterpartyUser.fatherName || '',
+          village: counterpartyUser.village
+        }
+        : null,
+      data: ledger
     });
   } catch (error) {
     console.error(error);
@@ -257,64 +536,55 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   POST /api/transactions/:id/payment
-// @desc    Add payment to transaction
+// @route   GET /api/transactions/export/statement
+// @desc    Download a CSV or PDF statement for one transaction (transactionId),
+//          one counterparty (counterparty) or the whole account, over from/to
 // @access  Private
-router.post(
-  '/:id/payment',
+router.get(
+  '/export/statement',
   [
     protect,
     [
-      body('amount', 'Amount is required').isNumeric(),
-      body('date', 'Date is required').not().isEmpty()
+      query('format', 'Format must be csv or pdf').optional().isIn(['csv', 'pdf']),
+      query('transactionId', 'Transaction ID is invalid').optional().isMongoId(),
+      query('counterparty', 'Counterparty cannot be empty').optional().not().isEmpty(),
+      query('from', 'From must be a valid date').optional().isISO8601(),
+      query('to', 'To must be a valid date').optional().isISO8601()
     ]
   ],
   async (req, res) => {
-    // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
     try {
-      const transaction = await Transaction.findById(req.params.id);
+      const { transactionId, counterparty, from, to } = req.query;
+      const format = req.query.format || 'csv';
 
-      if (!transaction) {
+      const statement = await buildStatement(req.user, {
+        transactionId,
+        counterparty,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined
+      });
+
+      if (!statement) {
         return res.status(404).json({
           success: false,
           message: 'Transaction not found'
         });
       }
 
-      // Check if user is authorized to add payment
-      const isLender = transaction.lender.toString() === req.user.id;
-      const isBorrower = 
-        (transaction.borrowerId && transaction.borrowerId.toString() === req.user.id) || 
-        transaction.borrower === req.user.username;
+      const filename = `statement-${req.user.username}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      // res.attachment quotes the name and adds filename*= for characters outside ASCII
+      res.attachment(filename);
 
-      if (!isLender && !isBorrower) {
-        return res.status(401).json({
-          success: false,
-          message: 'Not authorized to add payment to this transaction'
-        });
+      if (format === 'pdf') {
+        res.type('application/pdf').send(await statementToPdf(statement));
+      } else {
+        res.type('text/csv').send(statementToCsv(statement));
       }
-
-      const { amount, date, notes } = req.body;
-
-      // Add payment to transaction
-      transaction.payments.push({
-        amount,
-        date: new Date(date),
-        notes
-      });
-
-      // Save updated transaction
-      await transaction.save();
-
-      res.json({
-        success: true,
-        data: transaction
-      });
     } catch (error) {
       console.error(error);
       res.status(500).json({
@@ -367,7 +637,16 @@ router.get('/check-borrower/:username', protect, async (req, res) => {
 // @access  Private
 router.get('/check-phone/:phoneNumber', protect, async (req, res) => {
   try {
-    const user = await User.findOne({ phoneNumber: req.params.phoneNumber });
+    // Stored numbers are in E.164, so "+91 98123 45678" and "9812345678" find the same user
+    const phoneNumber = normalizePhoneNumber(req.params.phoneNumber);
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number'
+      });
+    }
+
+    const user = await User.findOne({ phoneNumber });
     
     if (user) {
       return res.json({
@@ -399,4 +678,1167 @@ router.get('/check-phone/:phoneNumber', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/transactions/:id
+// @desc    Get transaction by ID with interest figures (optionally ?asOf=date)
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+  if (isNaN(asOf.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'asOf must be a valid date'
+    });
+  }
+
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Check if user is authorized to view this transaction
+    const isLender = transaction.lender.toString() === req.user.id;
+    const isBorrower = 
+      (transaction.borrowerId && transaction.borrowerId.toString() === req.user.id) || 
+      (!transaction.borrowerId && transaction.borrower === req.user.username);
+
+    if (!isLender && !isBorrower) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view this transaction'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transaction,
+      interest: transaction.getInterestSummary(asOf),
+      role: isLender ? 'lender' : 'borrower'
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/transactions/:id
+// @desc    Update transaction
+// @access  Private
+router.put(
+  '/:id',
+  [
+    protect,
+    [
+      body('amount', 'Amount must be a number').optional().isNumeric(),
+      body('interestRate', 'Interest rate must be a non-negative number').optional().isFloat({ min: 0 }),
+      body('interestType', `Interest type must be one of: ${INTEREST_TYPES.join(', ')}`)
+        .optional()
+        .isIn(INTEREST_TYPES),
+      body('compoundingFrequency', `Compounding frequency must be one of: ${COMPOUNDING_FREQUENCIES.join(', ')}`)
+        .optional()
+        .isIn(COMPOUNDING_FREQUENCIES),
+      body('interestRateUnit', `Interest rate unit must be one of: ${RATE_UNITS.join(', ')}`)
+        .optional()
+        .isIn(RATE_UNITS),
+      body('interestRatePeriod', `Interest rate period must be one of: ${RATE_PERIODS.join(', ')}`)
+        .optional()
+        .isIn(RATE_PERIODS),
+      body('borrowerPhone', 'Please provide a valid borrower phone number')
+        .optional({ values: 'falsy' })
+        .custom(isValidPhoneNumber)
+        .customSanitizer((value) => normalizePhoneNumber(value)),
+      // Payments decide whether a loan is overdue or completed; the lender can only reopen it or write it off
+      body('status', `Status must be one of: ${LENDER_STATUSES.join(', ')}`)
+        .optional()
+        .isIn(LENDER_STATUSES)
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      let transaction = await Transaction.findById(req.params.id);
+
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+
+      // Check if user is the lender of this transaction
+      if (transaction.lender.toString() !== req.user.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to update this transaction'
+        });
+      }
+
+      // A loan's status is the borrower's to decide until they accept it
+      if (req.body.status && !ACCEPTED_STATUSES.includes(transaction.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change status of a ${transaction.status} loan`
+        });
+      }
+
+      const previousStatus = transaction.status;
+
+      // Update transaction fields
+      const {
+        amount,
+        interestRate,
+        interestRateUnit,
+        interestRatePeriod,
+        interestType,
+        compoundingFrequency,
+        dueDate,
+        startDate,
+        status,
+        description
+      } = req.body;
+
+      // A claimed loan stays with the borrower who claimed it
+      if (transaction.borrowerClaimedAt && req.body.borrower && req.body.borrower !== transaction.borrower) {
+        return res.status(400).json({
+          success: false,
+          message: 'The borrower has claimed this loan, so it cannot be moved to someone else'
+        });
+      }
+
+      if (amount) transaction.amount = amount;
+      if (interestRate) transaction.interestRate = interestRate;
+      if (interestRateUnit) transaction.interestRateUnit = interestRateUnit;
+      if (interestRatePeriod) transaction.interestRatePeriod = interestRatePeriod;
+      if (interestType) transaction.interestType = interestType;
+      if (compoundingFrequency) transaction.compoundingFrequency = compoundingFrequency;
+      if (dueDate) transaction.dueDate = new Date(dueDate);
+      if (startDate) transaction.startDate = new Date(startDate);
+      if (status) transaction.status = status;
+      if (description) transaction.description = description;
+
+      const scheduleTermsChanged = ['amount', 'interestRate', 'interestRateUnit', 'interestRatePeriod', 'startDate', 'dueDate']
+        .some((path) => transaction.isModified(path));
+
+      // A custom plan's amounts and dates were chosen by the lender, so they cannot follow new terms
+      if (
+        transaction.repaymentPlan === 'custom' &&
+        (transaction.isModified('amount') || transaction.isModified('dueDate'))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount and due date cannot be changed on a loan with a custom installment plan'
+        });
+      }
+
+      // Rebuild a generated schedule from the new terms so installments and the remaining amount follow them
+      if (['emi', 'interestOnly'].includes(transaction.repaymentPlan) && scheduleTermsChanged) {
+        const schedule = generateSchedule({
+          plan: transaction.repaymentPlan,
+          amount: transaction.amount,
+          annualRate: getAnnualRate(transaction),
+          startDate: transaction.startDate,
+          dueDate: transaction.dueDate,
+          // A new due date sets the number of months; otherwise the plan keeps its length
+          installmentCount: dueDate ? undefined : transaction.installments.length
+        });
+
+        transaction.installments = schedule;
+        transaction.dueDate = schedule[schedule.length - 1].dueDate;
+      }
+
+      // Record who made the change in the status history
+      transaction.$locals.changedBy = req.user.id;
+      transaction.$locals.statusReason = status ? 'Updated by lender' : 'Loan terms updated';
+
+      if (req.body.borrowerPhone !== undefined && !transaction.borrowerId) {
+        transaction.borrowerPhone = req.body.borrowerPhone || null;
+      }
+
+      let borrowerReassigned = false;
+
+      // If borrower username is updated, check if it exists in the database. A claimed loan was
+      // linked by phone number or invite, so its name need not be the borrower's username and
+      // must not be looked up again (a different name was refused above).
+      if (req.body.borrower && !transaction.borrowerClaimedAt) {
+        transaction.borrower = req.body.borrower;
+      
+        // Check if borrower username exists in the database
+        const borrowerUser = await User.findOne({ username: req.body.borrower });
+        const previousBorrowerId = transaction.borrowerId;
+
+        if (borrowerUser) {
+          transaction.borrowerId = borrowerUser._id;
+        } else {
+          transaction.borrowerId = null;
+        }
+
+        // A different registered borrower has to accept the loan for themselves
+        if (borrowerUser && (!previousBorrowerId || !previousBorrowerId.equals(borrowerUser._id))) {
+          borrowerReassigned = true;
+          transaction.status = 'pending';
+          transaction.$locals.statusReason = 'Borrower changed by lender';
+        }
+      }
+
+      const termsChanged = transaction.modifiedPaths().some((path) => path !== 'status');
+
+      // Save updated transaction
+      await transaction.save();
+
+      if (termsChanged) {
+        await notify({
+          user: transaction.borrowerId,
+          type: borrowerReassigned ? 'loan_created' : 'loan_updated',
+          vars: { actorName: req.user.fullName, amount: transaction.amount },
+          transaction,
+          actor: req.user.id
+        });
+      }
+      await notifyStatusChange(transaction, previousStatus, req.user.id);
+
+      res.json({
+        success: true,
+        data: transaction
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/transactions/:id
+// @desc    Delete transaction
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Check if user is the lender of this transaction
+    if (transaction.lender.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to delete this transaction'
+      });
+    }
+
+    // Soft delete so the record is still there if the loan is ever disputed
+    await transaction.softDelete(req.user.id);
+
+    await TransactionHistory.create({
+      transaction: transaction._id,
+      action: 'delete',
+      actor: req.user.id,
+      changes: [{ field: 'deletedAt', before: null, after: transaction.deletedAt.toISOString() }]
+    });
+
+    await notify({
+      user: transaction.borrowerId,
+      type: 'loan_deleted',
+      vars: { actorName: req.user.fullName, amount: transaction.amount },
+      transaction,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Transaction removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/transactions/:id/restore
+// @desc    Restore a deleted transaction
+// @access  Private
+router.post('/:id/restore', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    }).setOptions({ withDeleted: true });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted transaction not found'
+      });
+    }
+
+    // Check if user is the lender of this transaction
+    if (transaction.lender.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to restore this transaction'
+      });
+    }
+
+    const deletedAt = transaction.deletedAt.toISOString();
+    await transaction.restore();
+
+    await TransactionHistory.create({
+      transaction: transaction._id,
+      action: 'restore',
+      actor: req.user.id,
+      changes: [{ field: 'deletedAt', before: deletedAt, after: null }]
+    });
+
+    await notify({
+      user: transaction.borrowerId,
+      type: 'loan_updated',
+      template: 'loan_restored',
+      vars: { actorName: req.user.fullName, amount: transaction.amount },
+      transaction,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Transaction restored',
+      data: transaction
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/transactions/:id/payment
+// @desc    Add payment to transaction
+// @access  Private
+router.post(
+  '/:id/payment',
+  [
+    protect,
+    [
+      body('amount', 'Amount is required').isNumeric(),
+      body('date', 'Date is required').not().isEmpty()
+    ]
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const transaction = await Transaction.findById(req.params.id);
+
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+
+      // Check if user is authorized to add payment
+      const isLender = transaction.lender.toString() === req.user.id;
+      const isBorrower = 
+        (transaction.borrowerId && transaction.borrowerId.toString() === req.user.id) || 
+        (!transaction.borrowerId && transaction.borrower === req.user.username);
+
+      if (!isLender && !isBorrower) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to add payment to this transaction'
+        });
+      }
+
+      if (!ACCEPTED_STATUSES.includes(transaction.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payments can only be added to loans the borrower has accepted'
+        });
+      }
+
+      const { amount, date, notes } = req.body;
+
+      // Add payment to transaction; the lender's own payments are confirmed straight away
+      transaction.payments.push({
+        amount,
+        date: new Date(date),
+        notes,
+        status: isLender ? 'confirmed' : 'proposed',
+        createdBy: req.user.id,
+        createdAt: new Date(),
+        confirmedAt: isLender ? new Date() : undefined
+      });
+
+      transaction.$locals.changedBy = req.user.id;
+      transaction.$locals.statusReason = 'Payment recorded';
+
+      const previousStatus = transaction.status;
+
+      // Save updated transaction
+      await transaction.save();
+
+      await notify({
+        user: isLender ? transaction.borrowerId : transaction.lender,
+        type: 'payment_recorded',
+        template: isLender ? 'payment_recorded' : 'payment_proposed',
+        vars: { actorName: req.user.fullName, amount: Number(amount) },
+        transaction,
+        actor: req.user.id
+      });
+      await notifyStatusChange(transaction, previousStatus, req.user.id);
+
+      res.json({
+        success: true,
+        message: isLender ? 'Payment recorded' : 'Payment recorded and awaiting lender confirmation',
+        data: transaction
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Confirm or reject a payment the borrower has proposed
+const reviewPayment = (confirm) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Only the lender can confirm or reject payments
+    if (transaction.lender.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to review payments on this transaction'
+      });
+    }
+
+    const payment = transaction.payments.id(req.params.paymentId);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'proposed') {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is already ${payment.status}`
+      });
+    }
+
+    if (confirm) {
+      payment.status = 'confirmed';
+      payment.confirmedAt = new Date();
+    } else {
+      payment.status = 'rejected';
+      payment.rejectedAt = new Date();
+      payment.rejectionReason = req.body.reason;
+    }
+
+    transaction.$locals.changedBy = req.user.id;
+    transaction.$locals.statusReason = confirm ? 'Payment confirmed' : 'Payment rejected';
+
+    const previousStatus = transaction.status;
+    await transaction.save();
+
+    await notify({
+      user: payment.createdBy,
+      type: confirm ? 'payment_confirmed' : 'payment_rejected',
+      vars: { actorName: req.user.fullName, amount: payment.amount, reason: payment.rejectionReason },
+      transaction,
+      actor: req.user.id
+    });
+    await notifyStatusChange(transaction, previousStatus, req.user.id);
+
+    res.json({
+      success: true,
+      message: confirm ? 'Payment confirmed' : 'Payment rejected',
+      data: transaction
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   POST /api/transactions/:id/payments/:paymentId/confirm
+// @desc    Lender confirms a payment recorded by the borrower
+// @access  Private
+router.post('/:id/payments/:paymentId/confirm', protect, reviewPayment(true));
+
+// @route   POST /api/transactions/:id/payments/:paymentId/reject
+// @desc    Lender rejects a payment recorded by the borrower
+// @access  Private
+router.post(
+  '/:id/payments/:paymentId/reject',
+  [protect, [body('reason', 'Reason cannot exceed 500 characters').optional().isLength({ max: 500 })]],
+  reviewPayment(false)
+);
+
+// Validation shared by the routes that void, reverse or correct a payment
+const paymentCancelValidation = [
+  body('reasonCode', `Reason code must be one of: ${PAYMENT_CANCEL_REASONS.join(', ')}`)
+    .isIn(PAYMENT_CANCEL_REASONS),
+  body('reason', 'Reason is required').not().isEmpty().isLength({ max: 500 })
+];
+
+// Find a lender's payment for the void, reverse and edit routes, or send the error response
+const findLenderPayment = async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id);
+
+  if (!transaction) {
+    res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+    return {};
+  }
+
+  // Only the lender can change recorded payments
+  if (transaction.lender.toString() !== req.user.id) {
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized to change payments on this transaction'
+    });
+    return {};
+  }
+
+  const payment = transaction.payments.id(req.params.paymentId);
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return {};
+  }
+
+  return { transaction, payment };
+};
+
+// Mark a payment voided or reversed so it no longer counts toward what has been paid
+const cancelPayment = (newStatus, allowedStatuses) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { transaction, payment } = await findLenderPayment(req, res);
+    if (!transaction) {
+      return;
+    }
+
+    if (!allowedStatuses.includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${payment.status} payment cannot be ${newStatus}`
+      });
+    }
+
+    payment.status = newStatus;
+    payment.cancelledAt = new Date();
+    payment.cancelledBy = req.user.id;
+    payment.cancelReasonCode = req.body.reasonCode;
+    payment.cancelReason = req.body.reason;
+
+    transaction.$locals.changedBy = req.user.id;
+    transaction.$locals.statusReason = `Payment ${newStatus}: ${req.body.reason}`;
+
+    const previousStatus = transaction.status;
+    await transaction.save();
+
+    await notify({
+      user: transaction.borrowerId,
+      type: 'payment_cancelled',
+      template: `payment_${newStatus}`,
+      vars: { actorName: req.user.fullName, amount: payment.amount, reason: req.body.reason },
+      transaction,
+      actor: req.user.id
+    });
+    await notifyStatusChange(transaction, previousStatus, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Payment ${newStatus}`,
+      data: transaction
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   POST /api/transactions/:id/payments/:paymentId/void
+// @desc    Void a payment that was entered in error
+// @access  Private
+router.post(
+  '/:id/payments/:paymentId/void',
+  [protect, paymentCancelValidation],
+  cancelPayment('voided', ['proposed', 'confirmed'])
+);
+
+// @route   POST /api/transactions/:id/payments/:paymentId/reverse
+// @desc    Reverse a confirmed payment that was later undone (e.g. bounced)
+// @access  Private
+router.post(
+  '/:id/payments/:paymentId/reverse',
+  [protect, paymentCancelValidation],
+  cancelPayment('reversed', ['confirmed'])
+);
+
+// @route   PUT /api/transactions/:id/payments/:paymentId
+// @desc    Correct a payment: voids the original and records the corrected entry
+// @access  Private
+router.put(
+  '/:id/payments/:paymentId',
+  [
+    protect,
+    [
+      ...paymentCancelValidation,
+      body('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 }),
+      body('date', 'Date must be valid').optional().isISO8601()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { transaction, payment } = await findLenderPayment(req, res);
+      if (!transaction) {
+        return;
+      }
+
+      if (!['proposed', 'confirmed'].includes(payment.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${payment.status} payment cannot be edited`
+        });
+      }
+
+      const { amount, date, notes, reasonCode, reason } = req.body;
+      const now = new Date();
+
+      transaction.payments.push({
+        amount: amount !== undefined ? amount : payment.amount,
+        date: date ? new Date(date) : payment.date,
+        notes: notes !== undefined ? notes : payment.notes,
+        status: 'confirmed',
+        createdBy: req.user.id,
+        createdAt: now,
+        confirmedAt: now,
+        replaces: payment._id
+      });
+      const correction = transaction.payments[transaction.payments.length - 1];
+
+      payment.status = 'voided';
+      payment.cancelledAt = now;
+      payment.cancelledBy = req.user.id;
+      payment.cancelReasonCode = reasonCode;
+      payment.cancelReason = reason;
+      payment.replacedBy = correction._id;
+
+      transaction.$locals.changedBy = req.user.id;
+      transaction.$locals.statusReason = `Payment corrected: ${reason}`;
+
+      const previousStatus = transaction.status;
+      await transaction.save();
+
+      await notify({
+        user: transaction.borrowerId,
+        type: 'payment_cancelled',
+        template: 'payment_corrected',
+        vars: { actorName: req.user.fullName, amount: payment.amount, newAmount: correction.amount, reason },
+        transaction,
+        actor: req.user.id
+      });
+      await notifyStatusChange(transaction, previousStatus, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Payment corrected',
+        data: transaction
+      });
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Record the borrower's answer to a pending loan
+const respondToLoan = (accept) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Only the borrower can accept or reject a loan
+    const isBorrower = 
+      (transaction.borrowerId && transaction.borrowerId.toString() === req.user.id) || 
+      (!transaction.borrowerId && transaction.borrower === req.user.username);
+
+    if (!isBorrower) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to respond to this transaction'
+      });
+    }
+
+    if (transaction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Loan is already ${transaction.status}`
+      });
+    }
+
+    transaction.status = accept ? 'active' : 'rejected';
+    transaction.borrowerId = req.user.id;
+    transaction.respondedAt = new Date();
+    transaction.responseReason = req.body.reason;
+
+    transaction.$locals.changedBy = req.user.id;
+    transaction.$locals.statusReason = req.body.reason || (accept ? 'Accepted by borrower' : 'Rejected by borrower');
+
+    await transaction.save();
+
+    await notify({
+      user: transaction.lender,
+      type: accept ? 'loan_accepted' : 'loan_rejected',
+      vars: { actorName: req.user.fullName, amount: transaction.amount, reason: req.body.reason },
+      transaction,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: accept ? 'Loan accepted' : 'Loan rejected',
+      data: transaction
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   POST /api/transactions/:id/accept
+// @desc    Borrower accepts a pending loan
+// @access  Private
+router.post(
+  '/:id/accept',
+  [protect, [body('reason', 'Reason cannot exceed 500 characters').optional().isLength({ max: 500 })]],
+  respondToLoan(true)
+);
+
+// @route   POST /api/transactions/:id/reject
+// @desc    Borrower rejects a pending loan
+// @access  Private
+router.post(
+  '/:id/reject',
+  [protect, [body('reason', 'Reason cannot exceed 500 characters').optional().isLength({ max: 500 })]],
+  respondToLoan(false)
+);
+
+// @route   POST /api/transactions/:id/claim
+// @desc    Claim a loan from GET /claimable; links it to the user for good
+// @access  Private
+router.post('/:id/claim', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: req.params.id, ...claimableFilter(req.user) });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'No claimable loan found'
+      });
+    }
+
+    transaction.borrowerId = req.user.id;
+    transaction.borrowerClaimedAt = new Date();
+    transaction.$locals.changedBy = req.user.id;
+
+    // Only save if nobody else has claimed it in the meantime
+    transaction.$where = { borrowerId: null };
+    await transaction.save();
+
+    await notify({
+      user: transaction.lender,
+      type: 'loan_claimed',
+      vars: { actorName: req.user.fullName, amount: transaction.amount, borrower: transaction.borrower },
+      transaction,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Loan claimed',
+      data: transaction
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        success: false,
+        message: 'This loan has already been claimed'
+      });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/transactions/:id/dismiss-claim
+// @desc    Say a claimable loan is not the user's, so it stops being offered to them
+// @access  Private
+router.post('/:id/dismiss-claim', protect, async (req, res) => {
+  try {
+    const result = await Transaction.updateOne(
+      { _id: req.params.id, ...claimableFilter(req.user) },
+      { $addToSet: { claimDismissedBy: req.user._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No claimable loan found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Loan dismissed'
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/transactions/:id/invite
+// @desc    Invite a loan's unregistered borrower to sign up, by email or SMS
+// @access  Private
+router.post(
+  '/:id/invite',
+  [
+    protect,
+    [
+      // Lower-cased so the invite can be matched to the borrower's email when they sign up
+      body('email', 'Please include a valid email').optional().isEmail().toLowerCase(),
+      body('phoneNumber', 'Please provide a valid phone number')
+        .optional()
+        .custom(isValidPhoneNumber)
+        .customSanitizer((value) => normalizePhoneNumber(value)),
+      body('channel', `Channel must be one of: ${INVITE_CHANNELS.join(', ')}`).optional().isIn(INVITE_CHANNELS),
+      body('language', `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`)
+        .optional()
+        .isIn(SUPPORTED_LANGUAGES)
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, phoneNumber, language } = req.body;
+    // Send to whichever contact was given, unless the lender chose otherwise
+    const channel = req.body.channel || (email ? 'email' : 'sms');
+    const recipient = channel === 'email' ? email : phoneNumber;
+
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: channel === 'email' ? 'Email is required to invite by email' : 'Phone number is required to invite by SMS'
+      });
+    }
+
+    try {
+      const transaction = await Transaction.findById(req.params.id);
+
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+
+      if (transaction.lender.toString() !== req.user.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to invite the borrower of this transaction'
+        });
+      }
+
+      if (transaction.borrowerId) {
+        return res.status(400).json({
+          success: false,
+          message: 'The borrower already has an account'
+        });
+      }
+
+      const cooldown = await startCooldown(`invite:${transaction._id}`, INVITE_COOLDOWN_SECONDS);
+      if (cooldown) {
+        res.set('Retry-After', String(cooldown));
+        return res.status(429).json({
+          success: false,
+          message: `An invite was sent recently. Please wait ${Math.ceil(cooldown / 60)} minute(s) before sending another.`,
+          retryAfter: cooldown
+        });
+      }
+
+      // Keep the number so the borrower can also find the loan by it after signing up another way
+      if (phoneNumber && !transaction.borrowerPhone) {
+        transaction.borrowerPhone = phoneNumber;
+        transaction.$locals.changedBy = req.user.id;
+        await transaction.save();
+      }
+
+      const invite = await sendInvite({ transaction, lender: req.user, channel, recipient, language });
+
+      res.status(201).json({
+        success: true,
+        message: channel === 'sms' ? 'Invite sent by SMS' : 'Invite sent by email',
+        data: invite
+      });
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/transactions/:id/schedule
+// @desc    Get the installment schedule of a transaction with payments applied
+// @access  Private
+router.get('/:id/schedule', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Check if user is authorized to view this transaction
+    const isLender = transaction.lender.toString() === req.user.id;
+    const isBorrower = 
+      (transaction.borrowerId && transaction.borrowerId.toString() === req.user.id) || 
+      (!transaction.borrowerId && transaction.borrower === req.user.username);
+
+    if (!isLender && !isBorrower) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view this transaction'
+      });
+    }
+
+    const schedule = transaction.getSchedule();
+
+    res.json({
+      success: true,
+      repaymentPlan: transaction.repaymentPlan,
+      count: schedule.length,
+      totalPaid: transaction.totalPaid,
+      remainingAmount: transaction.remainingAmount,
+      data: schedule
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/transactions/:id/history
+// @desc    Get the change history of a transaction (oldest first)
+// @access  Private
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Check if user is authorized to view this transaction
+    const isLender = transaction.lender.toString() === req.user.id;
+    const isBorrower = 
+      (transaction.borrowerId && transaction.borrowerId.toString() === req.user.id) || 
+      (!transaction.borrowerId && transaction.borrower === req.user.username);
+
+    if (!isLender && !isBorrower) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view this transaction'
+      });
+    }
+
+    const history = await TransactionHistory.find({ transaction: transaction._id })
+      .sort({ createdAt: 1 })
+      .populate('actor', 'username fullName');
+
+    res.json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
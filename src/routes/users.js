@@ -1,6 +1,7 @@
 import express from 'express';
 import { protect, authorize } from '../middleware/auth.js';
 import User from '../models/User.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
 
 const router = express.Router();
 
@@ -80,12 +81,32 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    const { fullName, phoneNumber, village, address } = req.body;
+    const { fullName, village, address } = req.body;
+    const phoneNumber = req.body.phoneNumber && normalizePhoneNumber(req.body.phoneNumber);
+
+    if (req.body.phoneNumber && !phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid phone number'
+      });
+    }
+
+    // Phone numbers are unique, and a new one has to be verified again
+    if (phoneNumber && phoneNumber !== user.phoneNumber) {
+      const existingUser = await User.findOne({ phoneNumber }).setOptions({ withDeleted: true });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number already in use by another account'
+        });
+      }
+    }
 
     // Build user object
     const userFields = {};
     if (fullName) userFields.fullName = fullName;
     if (phoneNumber) userFields.phoneNumber = phoneNumber;
+    if (phoneNumber && phoneNumber !== user.phoneNumber) userFields.isPhoneVerified = false;
     if (village) userFields.village = village;
     if (address) userFields.address = address;
 
@@ -124,7 +145,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    await User.findByIdAndRemove(req.params.id);
+    // Soft delete so the user's loan records keep a named counterparty
+    await user.softDelete(req.user.id);
 
     res.json({
       success: true,
@@ -139,6 +161,45 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   POST /api/users/:id/restore
+// @desc    Restore a deleted user
+// @access  Private/Admin
+router.post('/:id/restore', protect, authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    }).setOptions({ withDeleted: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+
+    await user.restore();
+
+    res.json({
+      success: true,
+      message: 'User restored',
+      data: user
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/users/check/:username
 // @desc    Check if username exists
 // @access  Public
@@ -0,0 +1,109 @@
+/**
+ * Migration: rewrite every stored phone number in E.164 and build the unique
+ * phone number index.
+ *
+ *   npm run migrate:phone-numbers            # report what would change
+ *   npm run migrate:phone-numbers -- --apply # write the changes
+ *
+ * Numbers are read as if dialled from DEFAULT_PHONE_COUNTRY. Accounts that
+ * end up sharing a number are listed and left untouched, and the unique index
+ * is only built once there are none; fix them (e.g. with PUT /api/users/:id)
+ * and run the migration again. Numbers that cannot be normalised are listed
+ * and kept as they are.
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { normalizePhoneNumber, getDefaultPhoneCountry } from '../utils/phone.js';
+
+dotenv.config();
+
+const apply = process.argv.includes('--apply');
+
+const describe = (user) => `${user._id} (${user.username}, "${user.phoneNumber}")`;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read the collection directly so soft-deleted accounts are included and stored values are seen as they are
+  const users = await User.collection
+    .find({}, { projection: { username: 1, phoneNumber: 1 } })
+    .toArray();
+
+  const invalid = [];
+  const byNumber = new Map();
+
+  for (const user of users) {
+    const normalized = normalizePhoneNumber(user.phoneNumber);
+    if (!normalized) {
+      invalid.push(user);
+    }
+
+    const number = normalized || user.phoneNumber;
+    if (!byNumber.has(number)) {
+      byNumber.set(number, []);
+    }
+    byNumber.get(number).push({ user, normalized });
+  }
+
+  const conflicts = [...byNumber.entries()].filter(([, entries]) => entries.length > 1);
+  const updates = [...byNumber.values()]
+    .filter((entries) => entries.length === 1)
+    .map(([entry]) => entry)
+    .filter(({ user, normalized }) => normalized && normalized !== user.phoneNumber);
+
+  console.log(`Default country: ${getDefaultPhoneCountry()}`);
+  console.log(`${users.length} users, ${updates.length} numbers to normalise`);
+
+  for (const { user, normalized } of updates) {
+    console.log(`  ${describe(user)} -> ${normalized}`);
+  }
+
+  if (invalid.length > 0) {
+    console.log(`${invalid.length} numbers cannot be normalised and are left as they are:`);
+    invalid.forEach((user) => console.log(`  ${describe(user)}`));
+  }
+
+  if (conflicts.length > 0) {
+    console.log(`${conflicts.length} numbers are shared by more than one account and are left as they are:`);
+    for (const [number, entries] of conflicts) {
+      console.log(`  ${number}: ${entries.map(({ user }) => describe(user)).join(', ')}`);
+    }
+  }
+
+  if (!apply) {
+    console.log('Dry run; pass --apply to write these changes.');
+    return conflicts.length === 0;
+  }
+
+  if (updates.length > 0) {
+    const result = await User.collection.bulkWrite(
+      updates.map(({ user, normalized }) => ({
+        updateOne: {
+          filter: { _id: user._id, phoneNumber: user.phoneNumber },
+          update: { $set: { phoneNumber: normalized } }
+        }
+      }))
+    );
+    console.log(`Normalised ${result.modifiedCount} phone numbers`);
+  }
+
+  if (conflicts.length > 0) {
+    console.log('Unique phone number index not built; resolve the shared numbers and run again.');
+    return false;
+  }
+
+  await User.createIndexes();
+  console.log('Unique phone number index is in place');
+  return true;
+};
+
+run()
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
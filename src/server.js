@@ -6,6 +6,11 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import transactionRoutes from './routes/transactions.js';
+import adminRoutes from './routes/admin.js';
+import notificationRoutes from './routes/notifications.js';
+import { startOverdueSweeper } from './jobs/overdueSweeper.js';
+import { startReminderScheduler } from './jobs/reminderJob.js';
+import { startEmailWorker } from './jobs/emailWorker.js';
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +21,10 @@ const app = express();
 const PORT = process.env.PORT || 10000;
 const MONGODB_URI = process.env.MONGODB_URI;
 
+// Behind a proxy (Render uses one), set TRUST_PROXY_HOPS so req.ip (used for login rate limits) is the
+// client's address. Off by default: without a proxy, clients could pick their own IP with X-Forwarded-For.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || false);
+
 // Middleware
 app.use(express.json());
 app.use(cors())
@@ -25,6 +34,8 @@ app.use(morgan('dev'));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -45,6 +56,10 @@ mongoose
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Server running on port ${PORT}`);
     });
+    // Start background jobs
+    startEmailWorker();
+    startOverdueSweeper();
+    startReminderScheduler();
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
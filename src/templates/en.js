@@ -0,0 +1,172 @@
+// English templates. Every template must exist here: other languages fall back to these.
+// See utils/templates.js for the placeholder syntax.
+
+const otpBox = `<div style="background-color: #f4f4f4; padding: 10px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+        {{otp}}
+      </div>`;
+
+export default {
+  emails: {
+    verifyEmail: {
+      subject: 'Email Verification OTP',
+      text: 'Hello {{name}},\n\nYour email verification OTP is: {{otp}}\n\nThis OTP will expire in 30 minutes.\n\nIf you did not request this, please ignore this email.',
+      html: `
+      <h2>Email Verification</h2>
+      <p>Hello {{name}},</p>
+      <p>Your email verification OTP is:</p>
+      ${otpBox}
+      <p>This OTP will expire in 30 minutes.</p>
+      <p>If you did not request this, please ignore this email.</p>`
+    },
+    passwordReset: {
+      subject: 'Password Reset OTP',
+      text: 'Hello {{name}},\n\nYour password reset OTP is: {{otp}}\n\nThis OTP will expire in 30 minutes.\n\nIf you did not request this, please ignore this email.',
+      html: `
+      <h2>Password Reset Request</h2>
+      <p>Hello {{name}},</p>
+      <p>Your password reset OTP is:</p>
+      ${otpBox}
+      <p>This OTP will expire in 30 minutes.</p>
+      <p>If you did not request this, please ignore this email.</p>`
+    },
+    paymentDueSoon: {
+      subject: 'Upcoming loan payment',
+      text: 'Hello {{name}},\n\nA payment of {{amount}} to {{lenderName}} is due in {{daysLeft|day|days}} ({{dueDate}}).\n\nYou can turn these reminders off in your profile settings.',
+      html: `
+      <h2>Upcoming loan payment</h2>
+      <p>Hello {{name}},</p>
+      <p>A payment of <strong>{{amount}}</strong> to {{lenderName}} is due <strong>in {{daysLeft|day|days}} ({{dueDate}})</strong>.</p>
+      <p>You can turn these reminders off in your profile settings.</p>`
+    },
+    paymentDueToday: {
+      subject: 'Loan payment due today',
+      text: 'Hello {{name}},\n\nA payment of {{amount}} to {{lenderName}} is due today.\n\nYou can turn these reminders off in your profile settings.',
+      html: `
+      <h2>Loan payment due today</h2>
+      <p>Hello {{name}},</p>
+      <p>A payment of <strong>{{amount}}</strong> to {{lenderName}} is due <strong>today</strong>.</p>
+      <p>You can turn these reminders off in your profile settings.</p>`
+    },
+    paymentOverdue: {
+      subject: 'Loan payment overdue',
+      text: 'Hello {{name}},\n\nA payment of {{amount}} to {{lenderName}} was due on {{dueDate}} and is now {{daysOverdue|day|days}} overdue.\n\nPlease pay or contact your lender.\n\nYou can turn these reminders off in your profile settings.',
+      html: `
+      <h2>Loan payment overdue</h2>
+      <p>Hello {{name}},</p>
+      <p>A payment of <strong>{{amount}}</strong> to {{lenderName}} was due on {{dueDate}} and is now <strong>{{daysOverdue|day|days}} overdue</strong>.</p>
+      <p>Please pay or contact your lender.</p>
+      <p>You can turn these reminders off in your profile settings.</p>`
+    },
+    lenderDigest: {
+      subject: 'Your daily loan digest',
+      text: 'Hello {{name}},\n\nDue soon:\n{{#dueSoon}}{{borrower}}: {{amount}} (due {{dueDate}})\n{{/dueSoon}}{{^dueSoon}}Nothing\n{{/dueSoon}}\nOverdue:\n{{#overdue}}{{borrower}}: {{amount}} (due {{dueDate}})\n{{/overdue}}{{^overdue}}Nothing\n{{/overdue}}\nYou can turn this digest off in your profile settings.',
+      html: `
+      <h2>Daily Loan Digest</h2>
+      <p>Hello {{name}},</p>
+      <h3>Due soon</h3>
+      <ul>{{#dueSoon}}<li>{{borrower}}: {{amount}} (due {{dueDate}})</li>{{/dueSoon}}{{^dueSoon}}<li>Nothing</li>{{/dueSoon}}</ul>
+      <h3>Overdue</h3>
+      <ul>{{#overdue}}<li>{{borrower}}: {{amount}} (due {{dueDate}})</li>{{/overdue}}{{^overdue}}<li>Nothing</li>{{/overdue}}</ul>
+      <p>You can turn this digest off in your profile settings.</p>`
+    },
+    invite: {
+      subject: '{{lenderName}} invited you to track your loan',
+      text: 'Hello {{name}},\n\n{{lenderName}} has recorded a loan of {{amount}} to you and invited you to join so you can see its balance, payments and due dates.\n\nSign up here: {{link}}\n\nThis invite expires on {{expiresAt}}.',
+      html: `
+      <h2>You have been invited</h2>
+      <p>Hello {{name}},</p>
+      <p>{{lenderName}} has recorded a loan of <strong>{{amount}}</strong> to you and invited you to join so you can see its balance, payments and due dates.</p>
+      <p><a href="{{link}}">Sign up</a></p>
+      <p>This invite expires on {{expiresAt}}.</p>`
+    },
+    notification: {
+      subject: '{{title}}',
+      text: 'Hello {{name}},\n\n{{message}}\n\nYou can choose which notifications are emailed to you in your notification settings.',
+      html: `
+      <h2>{{title}}</h2>
+      <p>Hello {{name}},</p>
+      <p>{{message}}</p>
+      <p>You can choose which notifications are emailed to you in your notification settings.</p>`
+    }
+  },
+
+  sms: {
+    phoneVerification: 'Your phone verification OTP is {{otp}}. It expires in 30 minutes. Do not share it with anyone.',
+    passwordReset: 'Your password reset OTP is {{otp}}. It expires in 30 minutes. If you did not ask for this, ignore this message.',
+    invite: '{{lenderName}} recorded a loan of {{amount}} to you. Sign up to track it: {{link}} (expires {{expiresAt}})'
+  },
+
+  notifications: {
+    loan_created: {
+      title: 'New loan to accept',
+      message: '{{actorName}} recorded a loan of {{amount}} to you. Accept or reject it in the app.'
+    },
+    loan_updated: {
+      title: 'Loan updated',
+      message: '{{actorName}} updated the details of your loan of {{amount}}.'
+    },
+    loan_restored: {
+      title: 'Loan restored',
+      message: '{{actorName}} restored the deleted loan of {{amount}} to you.'
+    },
+    loan_deleted: {
+      title: 'Loan deleted',
+      message: '{{actorName}} deleted the loan of {{amount}} to you.'
+    },
+    loan_accepted: {
+      title: 'Loan accepted',
+      message: '{{actorName}} accepted your loan of {{amount}}.{{#reason}} Note: {{reason}}{{/reason}}'
+    },
+    loan_rejected: {
+      title: 'Loan rejected',
+      message: '{{actorName}} rejected your loan of {{amount}}.{{#reason}} Reason: {{reason}}{{/reason}}'
+    },
+    loan_claimed: {
+      title: 'Loan claimed by borrower',
+      message: '{{actorName}} has signed up and claimed the loan of {{amount}} you recorded for {{borrower}}.'
+    },
+    payment_recorded: {
+      title: 'Payment recorded',
+      message: '{{actorName}} recorded your payment of {{amount}}.'
+    },
+    payment_proposed: {
+      title: 'Payment to confirm',
+      message: '{{actorName}} recorded a payment of {{amount}}. Confirm or reject it in the app.'
+    },
+    payment_confirmed: {
+      title: 'Payment confirmed',
+      message: '{{actorName}} confirmed your payment of {{amount}}.'
+    },
+    payment_rejected: {
+      title: 'Payment rejected',
+      message: '{{actorName}} rejected your payment of {{amount}}.{{#reason}} Reason: {{reason}}{{/reason}}'
+    },
+    payment_voided: {
+      title: 'Payment voided',
+      message: '{{actorName}} voided the payment of {{amount}}. Reason: {{reason}}'
+    },
+    payment_reversed: {
+      title: 'Payment reversed',
+      message: '{{actorName}} reversed the payment of {{amount}}. Reason: {{reason}}'
+    },
+    payment_corrected: {
+      title: 'Payment corrected',
+      message: '{{actorName}} corrected the payment of {{amount}} to {{newAmount}}. Reason: {{reason}}'
+    },
+    status_changed: {
+      title: 'Loan status changed',
+      message: 'The loan of {{amount}} to {{borrower}} is now {{status}} (was {{previousStatus}}).'
+    }
+  },
+
+  labels: {
+    status: {
+      pending: 'pending',
+      rejected: 'rejected',
+      active: 'active',
+      completed: 'completed',
+      overdue: 'overdue',
+      defaulted: 'defaulted'
+    }
+  }
+};
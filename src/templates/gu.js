@@ -0,0 +1,171 @@
+// Gujarati templates. Anything missing here is sent in English.
+
+const otpBox = `<div style="background-color: #f4f4f4; padding: 10px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+        {{otp}}
+      </div>`;
+
+export default {
+  emails: {
+    verifyEmail: {
+      subject: 'ઇમેઇલ ચકાસણી OTP',
+      text: 'નમસ્તે {{name}},\n\nતમારો ઇમેઇલ ચકાસણી OTP છે: {{otp}}\n\nઆ OTP 30 મિનિટમાં સમાપ્ત થઈ જશે.\n\nજો તમે આ વિનંતી કરી નથી, તો કૃપા કરીને આ ઇમેઇલને અવગણો.',
+      html: `
+      <h2>ઇમેઇલ ચકાસણી</h2>
+      <p>નમસ્તે {{name}},</p>
+      <p>તમારો ઇમેઇલ ચકાસણી OTP છે:</p>
+      ${otpBox}
+      <p>આ OTP 30 મિનિટમાં સમાપ્ત થઈ જશે.</p>
+      <p>જો તમે આ વિનંતી કરી નથી, તો કૃપા કરીને આ ઇમેઇલને અવગણો.</p>`
+    },
+    passwordReset: {
+      subject: 'પાસવર્ડ રીસેટ OTP',
+      text: 'નમસ્તે {{name}},\n\nતમારો પાસવર્ડ રીસેટ OTP છે: {{otp}}\n\nઆ OTP 30 મિનિટમાં સમાપ્ત થઈ જશે.\n\nજો તમે આ વિનંતી કરી નથી, તો કૃપા કરીને આ ઇમેઇલને અવગણો.',
+      html: `
+      <h2>પાસવર્ડ રીસેટ વિનંતી</h2>
+      <p>નમસ્તે {{name}},</p>
+      <p>તમારો પાસવર્ડ રીસેટ OTP છે:</p>
+      ${otpBox}
+      <p>આ OTP 30 મિનિટમાં સમાપ્ત થઈ જશે.</p>
+      <p>જો તમે આ વિનંતી કરી નથી, તો કૃપા કરીને આ ઇમેઇલને અવગણો.</p>`
+    },
+    paymentDueSoon: {
+      subject: 'આગામી લોન ચુકવણી',
+      text: 'નમસ્તે {{name}},\n\n{{lenderName}} ને {{amount}} ની ચુકવણી {{daysLeft|દિવસ|દિવસ}} પછી ({{dueDate}}) કરવાની છે.\n\nતમે આ રિમાઇન્ડર તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.',
+      html: `
+      <h2>આગામી લોન ચુકવણી</h2>
+      <p>નમસ્તે {{name}},</p>
+      <p>{{lenderName}} ને <strong>{{amount}}</strong> ની ચુકવણી <strong>{{daysLeft|દિવસ|દિવસ}} પછી ({{dueDate}})</strong> કરવાની છે.</p>
+      <p>તમે આ રિમાઇન્ડર તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.</p>`
+    },
+    paymentDueToday: {
+      subject: 'લોન ચુકવણી આજે કરવાની છે',
+      text: 'નમસ્તે {{name}},\n\n{{lenderName}} ને {{amount}} ની ચુકવણી આજે કરવાની છે.\n\nતમે આ રિમાઇન્ડર તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.',
+      html: `
+      <h2>લોન ચુકવણી આજે કરવાની છે</h2>
+      <p>નમસ્તે {{name}},</p>
+      <p>{{lenderName}} ને <strong>{{amount}}</strong> ની ચુકવણી <strong>આજે</strong> કરવાની છે.</p>
+      <p>તમે આ રિમાઇન્ડર તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.</p>`
+    },
+    paymentOverdue: {
+      subject: 'લોન ચુકવણીની મુદત વીતી ગઈ',
+      text: 'નમસ્તે {{name}},\n\n{{lenderName}} ને {{amount}} ની ચુકવણી {{dueDate}} ના રોજ કરવાની હતી અને હવે {{daysOverdue|દિવસ|દિવસ}}થી બાકી છે.\n\nકૃપા કરીને ચુકવણી કરો અથવા તમારા ધિરાણકર્તાનો સંપર્ક કરો.\n\nતમે આ રિમાઇન્ડર તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.',
+      html: `
+      <h2>લોન ચુકવણીની મુદત વીતી ગઈ</h2>
+      <p>નમસ્તે {{name}},</p>
+      <p>{{lenderName}} ને <strong>{{amount}}</strong> ની ચુકવણી {{dueDate}} ના રોજ કરવાની હતી અને હવે <strong>{{daysOverdue|દિવસ|દિવસ}}થી બાકી</strong> છે.</p>
+      <p>કૃપા કરીને ચુકવણી કરો અથવા તમારા ધિરાણકર્તાનો સંપર્ક કરો.</p>
+      <p>તમે આ રિમાઇન્ડર તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.</p>`
+    },
+    lenderDigest: {
+      subject: 'તમારો દૈનિક લોન સારાંશ',
+      text: 'નમસ્તે {{name}},\n\nટૂંક સમયમાં ચૂકવવાની:\n{{#dueSoon}}{{borrower}}: {{amount}} (નિયત તારીખ {{dueDate}})\n{{/dueSoon}}{{^dueSoon}}કંઈ નહીં\n{{/dueSoon}}\nમુદત વીતી ગયેલી:\n{{#overdue}}{{borrower}}: {{amount}} (નિયત તારીખ {{dueDate}})\n{{/overdue}}{{^overdue}}કંઈ નહીં\n{{/overdue}}\nતમે આ સારાંશ તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.',
+      html: `
+      <h2>દૈનિક લોન સારાંશ</h2>
+      <p>નમસ્તે {{name}},</p>
+      <h3>ટૂંક સમયમાં ચૂકવવાની</h3>
+      <ul>{{#dueSoon}}<li>{{borrower}}: {{amount}} (નિયત તારીખ {{dueDate}})</li>{{/dueSoon}}{{^dueSoon}}<li>કંઈ નહીં</li>{{/dueSoon}}</ul>
+      <h3>મુદત વીતી ગયેલી</h3>
+      <ul>{{#overdue}}<li>{{borrower}}: {{amount}} (નિયત તારીખ {{dueDate}})</li>{{/overdue}}{{^overdue}}<li>કંઈ નહીં</li>{{/overdue}}</ul>
+      <p>તમે આ સારાંશ તમારી પ્રોફાઇલ સેટિંગ્સમાં બંધ કરી શકો છો.</p>`
+    },
+    invite: {
+      subject: '{{lenderName}} એ તમને તમારી લોન જોવા માટે આમંત્રિત કર્યા છે',
+      text: 'નમસ્તે {{name}},\n\n{{lenderName}} એ તમારા નામે {{amount}} ની લોન નોંધી છે અને તમને જોડાવા માટે આમંત્રિત કર્યા છે, જેથી તમે તેની બાકી રકમ, ચુકવણીઓ અને નિયત તારીખો જોઈ શકો.\n\nઅહીં સાઇન અપ કરો: {{link}}\n\nઆ આમંત્રણ {{expiresAt}} ના રોજ સમાપ્ત થઈ જશે.',
+      html: `
+      <h2>તમને આમંત્રિત કરવામાં આવ્યા છે</h2>
+      <p>નમસ્તે {{name}},</p>
+      <p>{{lenderName}} એ તમારા નામે <strong>{{amount}}</strong> ની લોન નોંધી છે અને તમને જોડાવા માટે આમંત્રિત કર્યા છે, જેથી તમે તેની બાકી રકમ, ચુકવણીઓ અને નિયત તારીખો જોઈ શકો.</p>
+      <p><a href="{{link}}">સાઇન અપ કરો</a></p>
+      <p>આ આમંત્રણ {{expiresAt}} ના રોજ સમાપ્ત થઈ જશે.</p>`
+    },
+    notification: {
+      subject: '{{title}}',
+      text: 'નમસ્તે {{name}},\n\n{{message}}\n\nકઈ સૂચનાઓ તમને ઇમેઇલ કરવામાં આવે તે તમે તમારી સૂચના સેટિંગ્સમાં પસંદ કરી શકો છો.',
+      html: `
+      <h2>{{title}}</h2>
+      <p>નમસ્તે {{name}},</p>
+      <p>{{message}}</p>
+      <p>કઈ સૂચનાઓ તમને ઇમેઇલ કરવામાં આવે તે તમે તમારી સૂચના સેટિંગ્સમાં પસંદ કરી શકો છો.</p>`
+    }
+  },
+
+  sms: {
+    phoneVerification: 'તમારો ફોન ચકાસણી OTP {{otp}} છે. તે 30 મિનિટમાં સમાપ્ત થઈ જશે. તેને કોઈની સાથે શેર કરશો નહીં.',
+    passwordReset: 'તમારો પાસવર્ડ રીસેટ OTP {{otp}} છે. તે 30 મિનિટમાં સમાપ્ત થઈ જશે. જો તમે આ વિનંતી કરી નથી, તો આ સંદેશને અવગણો.',
+    invite: '{{lenderName}} એ તમારા નામે {{amount}} ની લોન નોંધી છે. તેને જોવા માટે સાઇન અપ કરો: {{link}} ({{expiresAt}} સુધી માન્ય)'
+  },
+
+  notifications: {
+    loan_created: {
+      title: 'સ્વીકારવા માટે નવી લોન',
+      message: '{{actorName}} એ તમારા નામે {{amount}} ની લોન નોંધી છે. એપમાં તેને સ્વીકારો અથવા નકારો.'
+    },
+    loan_updated: {
+      title: 'લોન અપડેટ થઈ',
+      message: '{{actorName}} એ તમારી {{amount}} ની લોનની વિગતો અપડેટ કરી છે.'
+    },
+    loan_restored: {
+      title: 'લોન પુનઃસ્થાપિત થઈ',
+      message: '{{actorName}} એ તમારા નામે {{amount}} ની કાઢી નાખેલી લોન પુનઃસ્થાપિત કરી છે.'
+    },
+    loan_deleted: {
+      title: 'લોન કાઢી નાખવામાં આવી',
+      message: '{{actorName}} એ તમારા નામે {{amount}} ની લોન કાઢી નાખી છે.'
+    },
+    loan_accepted: {
+      title: 'લોન સ્વીકારાઈ',
+      message: '{{actorName}} એ તમારી {{amount}} ની લોન સ્વીકારી છે.{{#reason}} નોંધ: {{reason}}{{/reason}}'
+    },
+    loan_rejected: {
+      title: 'લોન નકારાઈ',
+      message: '{{actorName}} એ તમારી {{amount}} ની લોન નકારી છે.{{#reason}} કારણ: {{reason}}{{/reason}}'
+    },
+    loan_claimed: {
+      title: 'ઉધાર લેનારે લોનનો દાવો કર્યો',
+      message: '{{actorName}} એ સાઇન અપ કરીને {{borrower}} ના નામે તમે નોંધેલી {{amount}} ની લોનનો દાવો કર્યો છે.'
+    },
+    payment_recorded: {
+      title: 'ચુકવણી નોંધાઈ',
+      message: '{{actorName}} એ તમારી {{amount}} ની ચુકવણી નોંધી છે.'
+    },
+    payment_proposed: {
+      title: 'પુષ્ટિ કરવા માટે ચુકવણી',
+      message: '{{actorName}} એ {{amount}} ની ચુકવણી નોંધી છે. એપમાં તેની પુષ્ટિ કરો અથવા તેને નકારો.'
+    },
+    payment_confirmed: {
+      title: 'ચુકવણીની પુષ્ટિ થઈ',
+      message: '{{actorName}} એ તમારી {{amount}} ની ચુકવણીની પુષ્ટિ કરી છે.'
+    },
+    payment_rejected: {
+      title: 'ચુકવણી નકારાઈ',
+      message: '{{actorName}} એ તમારી {{amount}} ની ચુકવણી નકારી છે.{{#reason}} કારણ: {{reason}}{{/reason}}'
+    },
+    payment_voided: {
+      title: 'ચુકવણી રદ થઈ',
+      message: '{{actorName}} એ {{amount}} ની ચુકવણી રદ કરી છે. કારણ: {{reason}}'
+    },
+    payment_reversed: {
+      title: 'ચુકવણી પરત થઈ',
+      message: '{{actorName}} એ {{amount}} ની ચુકવણી પરત કરી છે. કારણ: {{reason}}'
+    },
+    payment_corrected: {
+      title: 'ચુકવણી સુધારાઈ',
+      message: '{{actorName}} એ {{amount}} ની ચુકવણી સુધારીને {{newAmount}} કરી છે. કારણ: {{reason}}'
+    },
+    status_changed: {
+      title: 'લોનની સ્થિતિ બદલાઈ',
+      message: '{{borrower}} ને આપેલી {{amount}} ની લોનની સ્થિતિ હવે {{status}} છે (પહેલાં {{previousStatus}} હતી).'
+    }
+  },
+
+  labels: {
+    status: {
+      pending: 'પ્રતીક્ષામાં',
+      rejected: 'નકારેલી',
+      active: 'સક્રિય',
+      completed: 'પૂર્ણ',
+      overdue: 'મુદત વીતી ગયેલી',
+      defaulted: 'ડિફોલ્ટ'
+    }
+  }
+};
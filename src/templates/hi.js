@@ -0,0 +1,171 @@
+// Hindi templates. Anything missing here is sent in English.
+
+const otpBox = `<div style="background-color: #f4f4f4; padding: 10px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+        {{otp}}
+      </div>`;
+
+export default {
+  emails: {
+    verifyEmail: {
+      subject: 'ईमेल सत्यापन OTP',
+      text: 'नमस्ते {{name}},\n\nआपका ईमेल सत्यापन OTP है: {{otp}}\n\nयह OTP 30 मिनट में समाप्त हो जाएगा।\n\nयदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।',
+      html: `
+      <h2>ईमेल सत्यापन</h2>
+      <p>नमस्ते {{name}},</p>
+      <p>आपका ईमेल सत्यापन OTP है:</p>
+      ${otpBox}
+      <p>यह OTP 30 मिनट में समाप्त हो जाएगा।</p>
+      <p>यदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।</p>`
+    },
+    passwordReset: {
+      subject: 'पासवर्ड रीसेट OTP',
+      text: 'नमस्ते {{name}},\n\nआपका पासवर्ड रीसेट OTP है: {{otp}}\n\nयह OTP 30 मिनट में समाप्त हो जाएगा।\n\nयदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।',
+      html: `
+      <h2>पासवर्ड रीसेट अनुरोध</h2>
+      <p>नमस्ते {{name}},</p>
+      <p>आपका पासवर्ड रीसेट OTP है:</p>
+      ${otpBox}
+      <p>यह OTP 30 मिनट में समाप्त हो जाएगा।</p>
+      <p>यदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।</p>`
+    },
+    paymentDueSoon: {
+      subject: 'आगामी ऋण भुगतान',
+      text: 'नमस्ते {{name}},\n\n{{lenderName}} को {{amount}} का भुगतान {{daysLeft|दिन|दिन}} में ({{dueDate}}) देय है।\n\nआप इन रिमाइंडर को अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।',
+      html: `
+      <h2>आगामी ऋण भुगतान</h2>
+      <p>नमस्ते {{name}},</p>
+      <p>{{lenderName}} को <strong>{{amount}}</strong> का भुगतान <strong>{{daysLeft|दिन|दिन}} में ({{dueDate}})</strong> देय है।</p>
+      <p>आप इन रिमाइंडर को अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।</p>`
+    },
+    paymentDueToday: {
+      subject: 'ऋण भुगतान आज देय है',
+      text: 'नमस्ते {{name}},\n\n{{lenderName}} को {{amount}} का भुगतान आज देय है।\n\nआप इन रिमाइंडर को अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।',
+      html: `
+      <h2>ऋण भुगतान आज देय है</h2>
+      <p>नमस्ते {{name}},</p>
+      <p>{{lenderName}} को <strong>{{amount}}</strong> का भुगतान <strong>आज</strong> देय है।</p>
+      <p>आप इन रिमाइंडर को अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।</p>`
+    },
+    paymentOverdue: {
+      subject: 'ऋण भुगतान बकाया',
+      text: 'नमस्ते {{name}},\n\n{{lenderName}} को {{amount}} का भुगतान {{dueDate}} को देय था और अब {{daysOverdue|दिन|दिन}} से बकाया है।\n\nकृपया भुगतान करें या अपने ऋणदाता से संपर्क करें।\n\nआप इन रिमाइंडर को अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।',
+      html: `
+      <h2>ऋण भुगतान बकाया</h2>
+      <p>नमस्ते {{name}},</p>
+      <p>{{lenderName}} को <strong>{{amount}}</strong> का भुगतान {{dueDate}} को देय था और अब <strong>{{daysOverdue|दिन|दिन}} से बकाया</strong> है।</p>
+      <p>कृपया भुगतान करें या अपने ऋणदाता से संपर्क करें।</p>
+      <p>आप इन रिमाइंडर को अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।</p>`
+    },
+    lenderDigest: {
+      subject: 'आपका दैनिक ऋण सारांश',
+      text: 'नमस्ते {{name}},\n\nजल्द देय:\n{{#dueSoon}}{{borrower}}: {{amount}} (देय तिथि {{dueDate}})\n{{/dueSoon}}{{^dueSoon}}कुछ नहीं\n{{/dueSoon}}\nबकाया:\n{{#overdue}}{{borrower}}: {{amount}} (देय तिथि {{dueDate}})\n{{/overdue}}{{^overdue}}कुछ नहीं\n{{/overdue}}\nआप यह सारांश अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।',
+      html: `
+      <h2>दैनिक ऋण सारांश</h2>
+      <p>नमस्ते {{name}},</p>
+      <h3>जल्द देय</h3>
+      <ul>{{#dueSoon}}<li>{{borrower}}: {{amount}} (देय तिथि {{dueDate}})</li>{{/dueSoon}}{{^dueSoon}}<li>कुछ नहीं</li>{{/dueSoon}}</ul>
+      <h3>बकाया</h3>
+      <ul>{{#overdue}}<li>{{borrower}}: {{amount}} (देय तिथि {{dueDate}})</li>{{/overdue}}{{^overdue}}<li>कुछ नहीं</li>{{/overdue}}</ul>
+      <p>आप यह सारांश अपनी प्रोफ़ाइल सेटिंग में बंद कर सकते हैं।</p>`
+    },
+    invite: {
+      subject: '{{lenderName}} ने आपको अपना ऋण देखने के लिए आमंत्रित किया है',
+      text: 'नमस्ते {{name}},\n\n{{lenderName}} ने आपके नाम {{amount}} का ऋण दर्ज किया है और आपको जुड़ने के लिए आमंत्रित किया है, ताकि आप उसकी बाकी राशि, भुगतान और देय तिथियाँ देख सकें।\n\nयहाँ साइन अप करें: {{link}}\n\nयह आमंत्रण {{expiresAt}} को समाप्त हो जाएगा।',
+      html: `
+      <h2>आपको आमंत्रित किया गया है</h2>
+      <p>नमस्ते {{name}},</p>
+      <p>{{lenderName}} ने आपके नाम <strong>{{amount}}</strong> का ऋण दर्ज किया है और आपको जुड़ने के लिए आमंत्रित किया है, ताकि आप उसकी बाकी राशि, भुगतान और देय तिथियाँ देख सकें।</p>
+      <p><a href="{{link}}">साइन अप करें</a></p>
+      <p>यह आमंत्रण {{expiresAt}} को समाप्त हो जाएगा।</p>`
+    },
+    notification: {
+      subject: '{{title}}',
+      text: 'नमस्ते {{name}},\n\n{{message}}\n\nआप अपनी सूचना सेटिंग में चुन सकते हैं कि कौन-सी सूचनाएँ आपको ईमेल की जाएँ।',
+      html: `
+      <h2>{{title}}</h2>
+      <p>नमस्ते {{name}},</p>
+      <p>{{message}}</p>
+      <p>आप अपनी सूचना सेटिंग में चुन सकते हैं कि कौन-सी सूचनाएँ आपको ईमेल की जाएँ।</p>`
+    }
+  },
+
+  sms: {
+    phoneVerification: 'आपका फ़ोन सत्यापन OTP {{otp}} है। यह 30 मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।',
+    passwordReset: 'आपका पासवर्ड रीसेट OTP {{otp}} है। यह 30 मिनट में समाप्त हो जाएगा। यदि आपने यह अनुरोध नहीं किया है, तो इस संदेश को अनदेखा करें।',
+    invite: '{{lenderName}} ने आपके नाम {{amount}} का ऋण दर्ज किया है। इसे देखने के लिए साइन अप करें: {{link}} ({{expiresAt}} तक मान्य)'
+  },
+
+  notifications: {
+    loan_created: {
+      title: 'स्वीकार करने के लिए नया ऋण',
+      message: '{{actorName}} ने आपके नाम {{amount}} का ऋण दर्ज किया है। ऐप में इसे स्वीकार या अस्वीकार करें।'
+    },
+    loan_updated: {
+      title: 'ऋण अपडेट हुआ',
+      message: '{{actorName}} ने आपके {{amount}} के ऋण का विवरण अपडेट किया है।'
+    },
+    loan_restored: {
+      title: 'ऋण बहाल हुआ',
+      message: '{{actorName}} ने आपके नाम {{amount}} का हटाया गया ऋण बहाल किया है।'
+    },
+    loan_deleted: {
+      title: 'ऋण हटाया गया',
+      message: '{{actorName}} ने आपके नाम {{amount}} का ऋण हटा दिया है।'
+    },
+    loan_accepted: {
+      title: 'ऋण स्वीकार हुआ',
+      message: '{{actorName}} ने आपका {{amount}} का ऋण स्वीकार कर लिया है।{{#reason}} टिप्पणी: {{reason}}{{/reason}}'
+    },
+    loan_rejected: {
+      title: 'ऋण अस्वीकार हुआ',
+      message: '{{actorName}} ने आपका {{amount}} का ऋण अस्वीकार कर दिया है।{{#reason}} कारण: {{reason}}{{/reason}}'
+    },
+    loan_claimed: {
+      title: 'उधारकर्ता ने ऋण का दावा किया',
+      message: '{{actorName}} ने साइन अप करके {{borrower}} के नाम दर्ज आपके {{amount}} के ऋण का दावा किया है।'
+    },
+    payment_recorded: {
+      title: 'भुगतान दर्ज हुआ',
+      message: '{{actorName}} ने आपका {{amount}} का भुगतान दर्ज किया है।'
+    },
+    payment_proposed: {
+      title: 'पुष्टि के लिए भुगतान',
+      message: '{{actorName}} ने {{amount}} का भुगतान दर्ज किया है। ऐप में इसकी पुष्टि करें या इसे अस्वीकार करें।'
+    },
+    payment_confirmed: {
+      title: 'भुगतान की पुष्टि हुई',
+      message: '{{actorName}} ने आपके {{amount}} के भुगतान की पुष्टि की है।'
+    },
+    payment_rejected: {
+      title: 'भुगतान अस्वीकार हुआ',
+      message: '{{actorName}} ने आपका {{amount}} का भुगतान अस्वीकार कर दिया है।{{#reason}} कारण: {{reason}}{{/reason}}'
+    },
+    payment_voided: {
+      title: 'भुगतान रद्द हुआ',
+      message: '{{actorName}} ने {{amount}} का भुगतान रद्द कर दिया है। कारण: {{reason}}'
+    },
+    payment_reversed: {
+      title: 'भुगतान वापस हुआ',
+      message: '{{actorName}} ने {{amount}} का भुगतान वापस कर दिया है। कारण: {{reason}}'
+    },
+    payment_corrected: {
+      title: 'भुगतान सुधारा गया',
+      message: '{{actorName}} ने {{amount}} के भुगतान को सुधारकर {{newAmount}} कर दिया है। कारण: {{reason}}'
+    },
+    status_changed: {
+      title: 'ऋण की स्थिति बदली',
+      message: '{{borrower}} को दिए गए {{amount}} के ऋण की स्थिति अब {{status}} है (पहले {{previousStatus}} थी)।'
+    }
+  },
+
+  labels: {
+    status: {
+      pending: 'लंबित',
+      rejected: 'अस्वीकृत',
+      active: 'सक्रिय',
+      completed: 'पूर्ण',
+      overdue: 'बकाया',
+      defaulted: 'डिफ़ॉल्ट'
+    }
+  }
+};
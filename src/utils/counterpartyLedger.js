@@ -0,0 +1,131 @@
+import Transaction, { ACCEPTED_STATUSES } from '../models/Transaction.js';
+import { calculateInterest, isConfirmedPayment, roundMoney } from './interestCalculator.js';
+import { buildListFilters, combineFilters } from './transactionQuery.js';
+
+/**
+ * Ledger entries for a set of loans from the user's side: each loan and each
+ * confirmed payment, with its effect on what the other party owes the user
+ * @param {Object} user - Logged-in user
+ * @param {Array} transactions - Transactions the user is a party to (lender may be populated)
+ * @returns {Array} - Entries sorted oldest first (effect not yet rounded)
+ */
+export const buildLedgerEntries = (user, transactions) => {
+  const entries = [];
+
+  transactions.forEach((transaction) => {
+    // A populated lender is null if their account has been purged
+    const lender = transaction.lender || null;
+    const lenderId = lender ? (lender._id || lender).toString() : null;
+    const isLender = lenderId === user.id;
+    const sign = isLender ? 1 : -1;
+    // The lender's username is only known when the lender has been populated
+    const counterparty = isLender ? transaction.borrower : (lender && lender.username) || lenderId || 'Deleted user';
+
+    entries.push({
+      date: transaction.startDate,
+      type: isLender ? 'lent' : 'borrowed',
+      transactionId: transaction._id,
+      counterparty,
+      description: transaction.description,
+      amount: transaction.amount,
+      effect: sign * transaction.amount
+    });
+
+    transaction.payments.filter(isConfirmedPayment).forEach((payment) => {
+      entries.push({
+        date: payment.date,
+        type: isLender ? 'received' : 'paid',
+        transactionId: transaction._id,
+        paymentId: payment._id,
+        counterparty,
+        description: payment.notes,
+        amount: payment.amount,
+        effect: -sign * payment.amount
+      });
+    });
+  });
+
+  return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Build the two-way ledger between the user and one counterparty.
+ *
+ * Balances are from the user's side: positive means the counterparty owes
+ * the user. The running balance follows principal and payments; the net
+ * position also includes interest accrued up to now.
+ *
+ * @param {Object} user - Logged-in user
+ * @param {string} counterparty - Counterparty username or unregistered borrower name
+ * @param {Date} [now] - Date to calculate interest as of
+ * @returns {Promise<Object>} - Ledger entries, net position and settlement suggestion
+ */
+export const buildCounterpartyLedger = async (user, counterparty, now = new Date()) => {
+  const filters = await buildListFilters(user, { counterparty });
+  const transactions = await Transaction.find({
+    ...combineFilters(user, filters),
+    status: { $in: ACCEPTED_STATUSES }
+  }).sort({ startDate: 1 });
+
+  const entries = buildLedgerEntries(user, transactions);
+  const loans = [];
+  let owedToUser = 0;
+  let owedByUser = 0;
+
+  transactions.forEach((transaction) => {
+    const isLender = transaction.lender.toString() === user.id;
+    const figures = calculateInterest(transaction, now);
+    if (figures.totalDue > 0) {
+      loans.push({
+        transactionId: transaction._id,
+        role: isLender ? 'lender' : 'borrower',
+        status: transaction.status,
+        principalOutstanding: figures.principalOutstanding,
+        interestOutstanding: figures.interestOutstanding,
+        payoffAmount: figures.totalDue
+      });
+    }
+
+    if (isLender) {
+      owedToUser += figures.totalDue;
+    } else {
+      owedByUser += figures.totalDue;
+    }
+  });
+
+  // Balance after each entry
+  let balance = 0;
+  entries.forEach((entry) => {
+    balance += entry.effect;
+    entry.effect = roundMoney(entry.effect);
+    entry.balance = roundMoney(balance);
+  });
+
+  owedToUser = roundMoney(owedToUser);
+  owedByUser = roundMoney(owedByUser);
+  const netPosition = roundMoney(owedToUser - owedByUser);
+
+  // Cancel what each side owes the other and settle the difference with one payment
+  let payer = null;
+  if (netPosition > 0) {
+    payer = 'counterparty';
+  } else if (netPosition < 0) {
+    payer = 'you';
+  }
+
+  return {
+    counterparty,
+    transactionCount: transactions.length,
+    entries,
+    principalBalance: roundMoney(balance),
+    owedToYou: owedToUser,
+    youOwe: owedByUser,
+    netPosition,
+    settlement: {
+      offsetAmount: Math.min(owedToUser, owedByUser),
+      payer,
+      amount: Math.abs(netPosition),
+      loansToClose: loans
+    }
+  };
+};
@@ -0,0 +1,79 @@
+/**
+ * Quote a value for a CSV cell when it contains a comma, quote or line break.
+ * Text starting with a formula character gets a leading "'" so spreadsheets
+ * show it instead of running it; plain numbers such as "-500.00" are left alone.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+const escapeCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn rows of values into CSV text
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted cells with commas,
+ * escaped quotes ("") and line breaks, and both LF and CRLF line endings.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells, blank lines skipped
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
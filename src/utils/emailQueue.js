@@ -0,0 +1,140 @@
+import EmailMessage from '../models/EmailMessage.js';
+import { deliverEmail } from './mailTransport.js';
+
+// A message still "sending" after this long is assumed lost (e.g. the server restarted mid-send)
+const STALE_LOCK_MS = 10 * 60 * 1000;
+// Upper bound on the wait between attempts
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Attempts before a message is moved to the dead-letter list (EMAIL_MAX_ATTEMPTS, default 5)
+ * @returns {number} - Maximum attempts
+ */
+export const getMaxAttempts = () => Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+/**
+ * Wait before the next attempt: EMAIL_RETRY_BASE_SECONDS (default 60),
+ * doubled after each failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+export const getBackoffMs = (attempts) => {
+  const baseMs = (Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 60) * 1000;
+  return Math.min(baseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+};
+
+let draining = false;
+
+/**
+ * Claim the next message that is due to be sent, so no other worker sends it too
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Claimed message
+ */
+const claimNext = (now) =>
+  EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+/**
+ * Send every message that is due. Failed messages are retried with backoff
+ * and moved to the dead-letter list after the last attempt.
+ * @param {Date} [now] - Time to run as of
+ * @returns {Promise<Object>} - Counts of messages sent, retried and dead
+ */
+export const processEmailQueue = async (now = new Date()) => {
+  const result = { sent: 0, retried: 0, dead: 0 };
+  const maxAttempts = getMaxAttempts();
+
+  let message;
+  while ((message = await claimNext(now))) {
+    try {
+      const { messageId } = await deliverEmail(message);
+
+      message.status = 'sent';
+      message.sentAt = new Date();
+      message.messageId = messageId || null;
+      message.lastError = null;
+      message.text = undefined;
+      message.html = undefined;
+      result.sent += 1;
+    } catch (error) {
+      message.lastError = error.message;
+
+      if (message.attempts >= maxAttempts) {
+        message.status = 'dead';
+        result.dead += 1;
+        console.error(`Email to ${message.to} failed ${message.attempts} times and was dead-lettered:`, error.message);
+      } else {
+        message.status = 'queued';
+        message.nextAttemptAt = new Date(Date.now() + getBackoffMs(message.attempts));
+        result.retried += 1;
+      }
+    }
+
+    message.lockedAt = null;
+    await message.save();
+  }
+
+  return result;
+};
+
+/**
+ * Send whatever is due now in the background, unless a run is already going
+ */
+const drainSoon = () => {
+  if (draining) {
+    return;
+  }
+
+  draining = true;
+  setImmediate(async () => {
+    try {
+      await processEmailQueue();
+    } catch (error) {
+      console.error('Email queue failed:', error);
+    } finally {
+      draining = false;
+    }
+  });
+};
+
+/**
+ * Put an email on the send queue. Sending happens in the background, so a
+ * mail server problem never fails the request that sent the email.
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.subject - Email subject
+ * @param {string} options.text - Plain text email body
+ * @param {string} options.html - HTML email body
+ * @returns {Promise<Object>} - Queued message
+ */
+export const enqueueEmail = async ({ to, subject, text, html }) => {
+  const message = await EmailMessage.create({ to, subject, text, html });
+  drainSoon();
+  return message;
+};
+
+/**
+ * Put a dead-lettered message back on the queue for another round of attempts
+ * @param {string} id - Message ID
+ * @returns {Promise<Object|null>} - Requeued message, or null if no dead message has that ID
+ */
+export const retryDeadEmail = async (id) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: null } },
+    { new: true }
+  );
+
+  if (message) {
+    drainSoon();
+  }
+  return message;
+};
@@ -1,62 +1,28 @@
-import nodemailer from 'nodemailer';
+import { enqueueEmail } from './emailQueue.js';
+import { renderEmail } from './templates.js';
 
 /**
- * Send an email using nodemailer
+ * Send an email. The message is queued and sent in the background with
+ * retries (see utils/emailQueue.js), so this only fails if it cannot be queued.
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.text - Plain text email body
  * @param {string} options.html - HTML email body
- * @returns {Promise} - Nodemailer send result
+ * @returns {Promise} - Queued message
  */
-export const sendEmail = async (options) => {
-  // Create a transporter
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: process.env.SMTP_SECURE === 'true',
-    auth: {
-      user: process.env.SMTP_EMAIL,
-      pass: process.env.SMTP_PASSWORD,
-    },
-  });
-
-  // Define email options
-  const mailOptions = {
-    from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-    to: options.to,
-    subject: options.subject,
-    text: options.text,
-    html: options.html,
-  };
-
-  // Send email
-  const info = await transporter.sendMail(mailOptions);
-  return info;
-};
+export const sendEmail = async (options) => enqueueEmail(options);
 
 /**
  * Send verification OTP email
  * @param {string} email - Recipient email
  * @param {string} name - Recipient name
  * @param {string} otp - Verification OTP
+ * @param {string} [language] - Recipient's preferred language
  * @returns {Promise} - Send result
  */
-export const sendVerificationEmail = async (email, name, otp) => {
-  const subject = 'Email Verification OTP';
-  const text = `Hello ${name},\n\nYour email verification OTP is: ${otp}\n\nThis OTP will expire in 30 minutes.\n\nIf you did not request this, please ignore this email.`;
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2>Email Verification</h2>
-      <p>Hello ${name},</p>
-      <p>Your email verification OTP is:</p>
-      <div style="background-color: #f4f4f4; padding: 10px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
-        ${otp}
-      </div>
-      <p>This OTP will expire in 30 minutes.</p>
-      <p>If you did not request this, please ignore this email.</p>
-    </div>
-  `;
+export const sendVerificationEmail = async (email, name, otp, language) => {
+  const { subject, text, html } = renderEmail('verifyEmail', language, { name, otp });
 
   return await sendEmail({ to: email, subject, text, html });
 };
@@ -66,23 +32,115 @@ export const sendVerificationEmail = async (email, name, otp) => {
  * @param {string} email - Recipient email
  * @param {string} name - Recipient name
  * @param {string} otp - Reset OTP
+ * @param {string} [language] - Recipient's preferred language
+ * @returns {Promise} - Send result
+ */
+export const sendPasswordResetEmail = async (email, name, otp, language) => {
+  const { subject, text, html } = renderEmail('passwordReset', language, { name, otp });
+
+  return await sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send a reminder that a loan payment is coming up or due today
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} details - Reminder details
+ * @param {string} details.lenderName - Name of the lender
+ * @param {number} details.amount - Amount due
+ * @param {Date} details.dueDate - Due date
+ * @param {number} details.daysLeft - Days until the due date (0 for today)
+ * @param {string} [language] - Recipient's preferred language
+ * @returns {Promise} - Send result
+ */
+export const sendDueReminderEmail = async (email, name, { lenderName, amount, dueDate, daysLeft }, language) => {
+  const template = daysLeft === 0 ? 'paymentDueToday' : 'paymentDueSoon';
+  const { subject, text, html } = renderEmail(template, language, {
+    name,
+    lenderName,
+    amount,
+    dueDate: new Date(dueDate),
+    daysLeft
+  });
+
+  return await sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send a reminder that a loan payment is overdue
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} details - Reminder details
+ * @param {string} details.lenderName - Name of the lender
+ * @param {number} details.amount - Amount overdue
+ * @param {Date} details.dueDate - Date the payment was due
+ * @param {number} details.daysOverdue - Days since the due date
+ * @param {string} [language] - Recipient's preferred language
+ * @returns {Promise} - Send result
+ */
+export const sendOverdueReminderEmail = async (email, name, { lenderName, amount, dueDate, daysOverdue }, language) => {
+  const { subject, text, html } = renderEmail('paymentOverdue', language, {
+    name,
+    lenderName,
+    amount,
+    dueDate: new Date(dueDate),
+    daysOverdue
+  });
+
+  return await sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send a lender the daily digest of loans due soon and overdue
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} digest - Digest contents
+ * @param {Array} digest.dueSoon - [{ borrower, amount, dueDate }]
+ * @param {Array} digest.overdue - [{ borrower, amount, dueDate }]
+ * @param {string} [language] - Recipient's preferred language
+ * @returns {Promise} - Send result
+ */
+export const sendLenderDigestEmail = async (email, name, { dueSoon, overdue }, language) => {
+  const toLines = (items) => items.map((item) => ({ ...item, dueDate: new Date(item.dueDate) }));
+  const { subject, text, html } = renderEmail('lenderDigest', language, {
+    name,
+    dueSoon: toLines(dueSoon),
+    overdue: toLines(overdue)
+  });
+
+  return await sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send an in-app notification by email as well
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} notification - Notification to send, already in the recipient's language
+ * @param {string} notification.title - Notification title
+ * @param {string} notification.message - Notification text
+ * @param {string} [language] - Recipient's preferred language
  * @returns {Promise} - Send result
  */
-export const sendPasswordResetEmail = async (email, name, otp) => {
-  const subject = 'Password Reset OTP';
-  const text = `Hello ${name},\n\nYour password reset OTP is: ${otp}\n\nThis OTP will expire in 30 minutes.\n\nIf you did not request this, please ignore this email.`;
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2>Password Reset Request</h2>
-      <p>Hello ${name},</p>
-      <p>Your password reset OTP is:</p>
-      <div style="background-color: #f4f4f4; padding: 10px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
-        ${otp}
-      </div>
-      <p>This OTP will expire in 30 minutes.</p>
-      <p>If you did not request this, please ignore this email.</p>
-    </div>
-  `;
+export const sendNotificationEmail = async (email, name, { title, message }, language) => {
+  const { subject, text, html } = renderEmail('notification', language, { name, title, message });
 
   return await sendEmail({ to: email, subject, text, html });
-}; 
\ No newline at end of file
+};
+
+/**
+ * Invite an unregistered borrower to sign up
+ * @param {string} email - Recipient email
+ * @param {string} name - Borrower name as the lender recorded it
+ * @param {Object} invite - Invite details
+ * @param {string} invite.lenderName - Name of the lender
+ * @param {number} invite.amount - Loan amount
+ * @param {string} invite.link - Signup link carrying the invite code
+ * @param {Date} invite.expiresAt - When the invite expires
+ * @param {string} [language] - Language to write the invite in
+ * @returns {Promise} - Send result
+ */
+export const sendInviteEmail = async (email, name, { lenderName, amount, link, expiresAt }, language) => {
+  const { subject, text, html } = renderEmail('invite', language, { name, lenderName, amount, link, expiresAt });
+
+  return await sendEmail({ to: email, subject, text, html });
+};
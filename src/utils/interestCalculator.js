@@ -0,0 +1,189 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+// Number of compounding periods in a year for each supported frequency
+export const COMPOUNDING_PERIODS_PER_YEAR = {
+  daily: 365,
+  monthly: 12,
+  yearly: 1
+};
+
+export const INTEREST_TYPES = ['simple', 'compound'];
+export const COMPOUNDING_FREQUENCIES = Object.keys(COMPOUNDING_PERIODS_PER_YEAR);
+
+// What a quoted rate is "per": percent and perHundred both mean rupees per ₹100
+// (the village "2 rupees per hundred"), perThousand means rupees per ₹1000
+export const RATE_UNIT_BASE = {
+  percent: 100,
+  perHundred: 100,
+  perThousand: 1000
+};
+
+// Number of rate periods in a year
+export const RATE_PERIODS_PER_YEAR = {
+  day: 365,
+  week: 52,
+  month: 12,
+  year: 1
+};
+
+export const RATE_UNITS = Object.keys(RATE_UNIT_BASE);
+export const RATE_PERIODS = Object.keys(RATE_PERIODS_PER_YEAR);
+
+/**
+ * Round a money value to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a payment counts toward what has been paid (payments without a
+ * status predate lender confirmation and are treated as confirmed)
+ * @param {Object} payment - Payment entry
+ * @returns {boolean} - True if the payment counts
+ */
+export const isConfirmedPayment = (payment) => !payment.status || payment.status === 'confirmed';
+
+/**
+ * Convert a quoted rate to a nominal annual percentage rate
+ * @param {number} rate - Quoted rate, e.g. 2
+ * @param {string} [unit] - One of RATE_UNITS (defaults to 'percent')
+ * @param {string} [period] - One of RATE_PERIODS (defaults to 'year')
+ * @returns {number} - Percent per annum, e.g. 24 for "2 per hundred per month"
+ */
+export const toAnnualRate = (rate, unit = 'percent', period = 'year') => {
+  const base = RATE_UNIT_BASE[unit] || RATE_UNIT_BASE.percent;
+  const periodsPerYear = RATE_PERIODS_PER_YEAR[period] || RATE_PERIODS_PER_YEAR.year;
+  return (rate || 0) * (100 / base) * periodsPerYear;
+};
+
+/**
+ * Nominal annual percentage rate of a loan from its stored rate, unit and period
+ * @param {Object} loan - Transaction document or plain object
+ * @returns {number} - Percent per annum
+ */
+export const getAnnualRate = (loan) =>
+  toAnnualRate(loan.interestRate, loan.interestRateUnit, loan.interestRatePeriod);
+
+/**
+ * Effective annual rate once compounding is taken into account
+ * @param {number} annualRate - Nominal percent per annum
+ * @param {string} interestType - 'simple' or 'compound'
+ * @param {string} compoundingFrequency - 'daily', 'monthly' or 'yearly'
+ * @returns {number} - Effective percent per annum
+ */
+export const toEffectiveAnnualRate = (annualRate, interestType, compoundingFrequency) => {
+  if (interestType !== 'compound') {
+    return annualRate;
+  }
+
+  const periods = COMPOUNDING_PERIODS_PER_YEAR[compoundingFrequency] || COMPOUNDING_PERIODS_PER_YEAR.monthly;
+  return (Math.pow(1 + annualRate / 100 / periods, periods) - 1) * 100;
+};
+
+/**
+ * Interest earned on a balance over a period of time
+ * @param {number} balance - Balance interest is charged on
+ * @param {number} annualRate - Annual rate as a fraction (0.12 for 12%)
+ * @param {number} years - Length of the period in years
+ * @param {string} interestType - 'simple' or 'compound'
+ * @param {string} compoundingFrequency - 'daily', 'monthly' or 'yearly'
+ * @returns {number} - Interest for the period
+ */
+const interestForPeriod = (balance, annualRate, years, interestType, compoundingFrequency) => {
+  if (balance <= 0 || annualRate <= 0 || years <= 0) {
+    return 0;
+  }
+
+  if (interestType === 'compound') {
+    const periods = COMPOUNDING_PERIODS_PER_YEAR[compoundingFrequency] || COMPOUNDING_PERIODS_PER_YEAR.monthly;
+    return balance * (Math.pow(1 + annualRate / periods, periods * years) - 1);
+  }
+
+  return balance * annualRate * years;
+};
+
+/**
+ * Calculate interest, principal and total due on a loan as of a date.
+ *
+ * Interest accrues from the start date. Each payment is applied to
+ * outstanding interest first and the remainder to principal. Simple
+ * interest is charged on outstanding principal only; compound interest
+ * is charged on outstanding principal plus unpaid interest.
+ *
+ * @param {Object} loan - Transaction document or plain object
+ * @param {Date|string|number} [asOf] - Date to calculate figures for (defaults to now)
+ * @returns {Object} - Interest summary
+ */
+export const calculateInterest = (loan, asOf = new Date()) => {
+  const asOfDate = new Date(asOf);
+  const startDate = new Date(loan.startDate);
+  const annualPercentageRate = getAnnualRate(loan);
+  const annualRate = annualPercentageRate / 100;
+  const interestType = loan.interestType || 'simple';
+  const compoundingFrequency = loan.compoundingFrequency || 'monthly';
+
+  let principalOutstanding = loan.amount;
+  let interestOutstanding = 0;
+  let interestAccrued = 0;
+  let interestPaid = 0;
+  let principalPaid = 0;
+  let totalPaid = 0;
+  let cursor = startDate;
+
+  // Accrue interest from the cursor up to the given date
+  const accrueTo = (date) => {
+    if (date <= cursor) {
+      return;
+    }
+
+    const years = (date - cursor) / MS_PER_DAY / DAYS_PER_YEAR;
+    const balance = interestType === 'compound'
+      ? principalOutstanding + interestOutstanding
+      : principalOutstanding;
+    const interest = interestForPeriod(balance, annualRate, years, interestType, compoundingFrequency);
+
+    interestOutstanding += interest;
+    interestAccrued += interest;
+    cursor = date;
+  };
+
+  const payments = (loan.payments || [])
+    .filter((payment) => isConfirmedPayment(payment) && new Date(payment.date) <= asOfDate)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  payments.forEach((payment) => {
+    accrueTo(new Date(payment.date));
+
+    const toInterest = Math.min(payment.amount, interestOutstanding);
+    const toPrincipal = payment.amount - toInterest;
+
+    interestOutstanding -= toInterest;
+    interestPaid += toInterest;
+    principalOutstanding -= toPrincipal;
+    principalPaid += toPrincipal;
+    totalPaid += payment.amount;
+  });
+
+  accrueTo(asOfDate);
+
+  return {
+    asOf: asOfDate,
+    interestRate: loan.interestRate,
+    interestRateUnit: loan.interestRateUnit || 'percent',
+    interestRatePeriod: loan.interestRatePeriod || 'year',
+    annualPercentageRate: roundMoney(annualPercentageRate),
+    effectiveAnnualRate: roundMoney(toEffectiveAnnualRate(annualPercentageRate, interestType, compoundingFrequency)),
+    interestType,
+    compoundingFrequency: interestType === 'compound' ? compoundingFrequency : null,
+    principal: loan.amount,
+    principalPaid: roundMoney(principalPaid),
+    principalOutstanding: roundMoney(Math.max(principalOutstanding, 0)),
+    interestAccrued: roundMoney(interestAccrued),
+    interestPaid: roundMoney(interestPaid),
+    interestOutstanding: roundMoney(interestOutstanding),
+    totalPaid: roundMoney(totalPaid),
+    totalDue: roundMoney(Math.max(principalOutstanding + interestOutstanding, 0))
+  };
+};
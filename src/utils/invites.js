@@ -0,0 +1,211 @@
+import jwt from 'jsonwebtoken';
+import Invite from '../models/Invite.js';
+import Transaction from '../models/Transaction.js';
+import { sendInviteEmail } from './emailService.js';
+import { sendInviteSms } from './smsService.js';
+import { notify } from './notifications.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Wait before the same loan can be invited again
+export const INVITE_COOLDOWN_SECONDS = 5 * 60;
+
+/**
+ * Days an invite stays valid (INVITE_EXPIRE_DAYS, default 14)
+ * @returns {number} - Days
+ */
+const getInviteExpireDays = () => Number(process.env.INVITE_EXPIRE_DAYS) || 14;
+
+/**
+ * Signup link for an invite code, on the web app at APP_URL
+ * @param {string} code - Signed invite code
+ * @returns {string} - Link
+ */
+const buildInviteLink = (code) => {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${appUrl}/signup?invite=${encodeURIComponent(code)}`;
+};
+
+/**
+ * Create an invite for a loan's borrower and send it
+ * @param {Object} options - Invite options
+ * @param {Object} options.transaction - Loan the borrower is invited for
+ * @param {Object} options.lender - Lender sending the invite
+ * @param {string} options.channel - 'email' or 'sms'
+ * @param {string} options.recipient - Email address or E.164 phone number
+ * @param {string} [options.language] - Language to write the invite in (defaults to the lender's)
+ * @returns {Promise<Object>} - Saved invite
+ */
+export const sendInvite = async ({ transaction, lender, channel, recipient, language }) => {
+  const invite = await Invite.create({
+    lender: lender._id,
+    transaction: transaction._id,
+    borrower: transaction.borrower,
+    channel,
+    recipient,
+    expiresAt: new Date(Date.now() + getInviteExpireDays() * MS_PER_DAY)
+  });
+
+  // The code only carries the invite ID; its expiry matches the invite's
+  const code = jwt.sign({ inv: invite._id, purpose: 'invite' }, process.env.JWT_SECRET, {
+    expiresIn: Math.ceil((invite.expiresAt.getTime() - Date.now()) / 1000)
+  });
+  const details = {
+    lenderName: lender.fullName,
+    amount: transaction.amount,
+    link: buildInviteLink(code),
+    expiresAt: invite.expiresAt
+  };
+  const lang = language || lender.preferredLanguage;
+
+  try {
+    if (channel === 'sms') {
+      await sendInviteSms(recipient, details, lang);
+    } else {
+      await sendInviteEmail(recipient, transaction.borrower, details, lang);
+    }
+  } catch (error) {
+    // An invite that never went out should not show up as sent
+    await Invite.deleteOne({ _id: invite._id });
+    throw error;
+  }
+
+  return invite;
+};
+
+/**
+ * Find the invite an invite code refers to
+ * @param {string} code - Signed invite code
+ * @returns {Promise<Object|null>} - Invite, or null if the code is not valid or has expired
+ */
+export const findInviteByCode = async (code) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(code, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'invite') {
+    return null;
+  }
+
+  return await Invite.findById(decoded.inv);
+};
+
+/**
+ * Record that the invite's signup page was opened
+ * @param {Object} invite - Invite
+ * @returns {Promise<Object>} - Update result
+ */
+export const markInviteOpened = (invite) =>
+  Invite.updateOne({ _id: invite._id, status: 'sent' }, { $set: { status: 'opened', openedAt: new Date() } });
+
+/**
+ * Whether the user has verified the email address or phone number an invite
+ * was sent to. Only the recipient may take over the lender's loans; anyone
+ * else holding a forwarded link has to verify that contact first.
+ * @param {Object} invite - Invite
+ * @param {Object} user - User document
+ * @returns {boolean} - True if the invite was sent to one of the user's verified contacts
+ */
+export const isInviteRecipient = (invite, user) => {
+  if (invite.channel === 'sms') {
+    return user.isPhoneVerified && user.phoneNumber === invite.recipient;
+  }
+  return user.isEmailVerified && !!user.email && user.email.toLowerCase() === invite.recipient.toLowerCase();
+};
+
+/**
+ * Use an invite for its recipient: mark it joined and link the user to the
+ * invited loan if it has no borrower account yet. The linked loan counts as
+ * claimed. Other loans to the same name are left alone; they may belong to
+ * someone else and the borrower has not accepted them.
+ * @param {Object} invite - Invite from findInviteByCode
+ * @param {Object} user - User who has verified the invite's email or phone number
+ * @returns {Promise<number|null>} - Number of loans linked, or null if the invite was already used, has expired or was sent to someone else
+ */
+export const acceptInvite = async (invite, user) => {
+  if (!isInviteRecipient(invite, user)) {
+    return null;
+  }
+
+  const now = new Date();
+
+  // Claim the invite first so it cannot be used by two signups
+  const claimed = await Invite.findOneAndUpdate(
+    { _id: invite._id, status: { $ne: 'joined' }, expiresAt: { $gt: now } },
+    { $set: { status: 'joined', joinedAt: now, joinedUser: user._id } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  const transactions = await Transaction.find({
+    _id: claimed.transaction,
+    lender: claimed.lender,
+    borrowerId: null
+  });
+
+  let linked = 0;
+  for (const transaction of transactions) {
+    transaction.borrowerId = user._id;
+    transaction.borrowerClaimedAt = now;
+    transaction.$locals.changedBy = user._id;
+    transaction.$where = { borrowerId: null };
+
+    try {
+      await transaction.save();
+    } catch (error) {
+      // Someone else claimed it in the meantime
+      if (error.name === 'DocumentNotFoundError') continue;
+      throw error;
+    }
+
+    linked += 1;
+    await notify({
+      user: claimed.lender,
+      type: 'loan_claimed',
+      vars: { actorName: user.fullName, amount: transaction.amount, borrower: transaction.borrower },
+      transaction,
+      actor: user._id
+    });
+  }
+
+  return linked;
+};
+
+/**
+ * Use every open invite sent to the user's verified email address or phone
+ * number, e.g. right after they verify it
+ * @param {Object} user - User document
+ * @returns {Promise<number>} - Number of loans linked
+ */
+export const acceptInvitesFor = async (user) => {
+  const recipients = [];
+  if (user.isEmailVerified && user.email) {
+    recipients.push({ channel: 'email', recipient: user.email.toLowerCase() });
+  }
+  if (user.isPhoneVerified && user.phoneNumber) {
+    recipients.push({ channel: 'sms', recipient: user.phoneNumber });
+  }
+
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  const invites = await Invite.find({
+    $or: recipients,
+    status: { $ne: 'joined' },
+    expiresAt: { $gt: new Date() }
+  });
+
+  let linked = 0;
+  for (const invite of invites) {
+    linked += (await acceptInvite(invite, user)) || 0;
+  }
+
+  return linked;
+};
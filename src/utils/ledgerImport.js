@@ -0,0 +1,308 @@
+import mongoose from 'mongoose';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import { parseCsv } from './csv.js';
+import { normalizePhoneNumber } from './phone.js';
+import {
+  INTEREST_TYPES,
+  COMPOUNDING_FREQUENCIES,
+  RATE_UNITS,
+  RATE_PERIODS
+} from './interestCalculator.js';
+
+export const MAX_IMPORT_ROWS = 2000;
+
+// Columns every import file needs; the rest are optional
+const REQUIRED_COLUMNS = ['borrower', 'amount', 'interestRate', 'startDate', 'dueDate'];
+
+const isValidDate = (value) => !!value && !isNaN(new Date(value).getTime());
+const isNumber = (value) => value !== '' && !isNaN(Number(value));
+
+/**
+ * Validation errors for a loan row
+ * @param {Object} values - Row values keyed by column
+ * @returns {Array} - [{ field, message }]
+ */
+const validateLoanRow = (values) => {
+  const errors = [];
+
+  if (!values.borrower) errors.push({ field: 'borrower', message: 'Borrower is required' });
+  if (!isNumber(values.amount) || Number(values.amount) < 1) {
+    errors.push({ field: 'amount', message: 'Amount must be a number of at least 1' });
+  }
+  if (!isNumber(values.interestRate) || Number(values.interestRate) < 0) {
+    errors.push({ field: 'interestRate', message: 'Interest rate must be a non-negative number' });
+  }
+  if (!isValidDate(values.startDate)) errors.push({ field: 'startDate', message: 'Start date is invalid' });
+  if (!isValidDate(values.dueDate)) errors.push({ field: 'dueDate', message: 'Due date is invalid' });
+  if (
+    isValidDate(values.startDate) &&
+    isValidDate(values.dueDate) &&
+    new Date(values.dueDate) < new Date(values.startDate)
+  ) {
+    errors.push({ field: 'dueDate', message: 'Due date cannot be before the start date' });
+  }
+
+  const enums = {
+    interestRateUnit: RATE_UNITS,
+    interestRatePeriod: RATE_PERIODS,
+    interestType: INTEREST_TYPES,
+    compoundingFrequency: COMPOUNDING_FREQUENCIES
+  };
+  Object.entries(enums).forEach(([field, allowed]) => {
+    if (values[field] && !allowed.includes(values[field])) {
+      errors.push({ field, message: `${field} must be one of: ${allowed.join(', ')}` });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validation errors for a payment row
+ * @param {Object} values - Row values keyed by column
+ * @returns {Array} - [{ field, message }]
+ */
+const validatePaymentRow = (values) => {
+  const errors = [];
+
+  if (!values.ref) errors.push({ field: 'ref', message: 'Payment rows need the ref of their loan' });
+  if (!isNumber(values.amount) || Number(values.amount) <= 0) {
+    errors.push({ field: 'amount', message: 'Payment amount must be a positive number' });
+  }
+  if (!isValidDate(values.date)) errors.push({ field: 'date', message: 'Payment date is invalid' });
+
+  return errors;
+};
+
+/**
+ * Find a registered borrower the same way check-borrower and check-phone do:
+ * by username first, then by phone number
+ * @param {Object} values - Row values keyed by column
+ * @param {Map} cache - Lookups already made during this import
+ * @returns {Promise<Object>} - { user, matchedBy }
+ */
+const matchBorrower = async (values, cache) => {
+  const key = `${values.borrower}|${values.phone || ''}`;
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  let match = { user: null, matchedBy: null };
+  const phoneNumber = normalizePhoneNumber(values.phone);
+  const byUsername = await User.findOne({ username: values.borrower });
+
+  if (byUsername) {
+    match = { user: byUsername, matchedBy: 'username' };
+  } else if (phoneNumber) {
+    const byPhone = await User.findOne({ phoneNumber });
+    if (byPhone) {
+      match = { user: byPhone, matchedBy: 'phone' };
+    }
+  }
+
+  cache.set(key, match);
+  return match;
+};
+
+/**
+ * Build an unsaved transaction for an import loan
+ * @param {Object} user - Lender doing the import
+ * @param {Object} loan - Prepared loan from prepareImport
+ * @returns {Object} - Transaction document
+ */
+export const buildImportedTransaction = (user, loan) => {
+  const transaction = new Transaction(loan.data);
+  transaction.$locals.changedBy = user.id;
+  return transaction;
+};
+
+/**
+ * Parse and validate an import file without saving anything.
+ *
+ * Each row is a loan (type "loan", the default) or a historical payment
+ * (type "payment") linked to an earlier loan row by its ref. Loans to a
+ * registered borrower start pending, like loans created one at a time.
+ *
+ * @param {Object} user - Lender doing the import
+ * @param {string} csvText - CSV file contents
+ * @returns {Promise<Object>} - { loans, errors, preview }
+ */
+export const prepareImport = async (user, csvText) => {
+  const [headerRow, ...dataRows] = parseCsv(csvText || '');
+
+  if (!headerRow) {
+    return { loans: [], errors: [{ row: 1, message: 'The file is empty' }], preview: [] };
+  }
+
+  const headers = headerRow.map((header) => header.trim());
+  const missing = REQUIRED_COLUMNS.filter((column) => !headers.includes(column));
+  if (missing.length > 0) {
+    return {
+      loans: [],
+      errors: [{ row: 1, message: `Missing columns: ${missing.join(', ')}` }],
+      preview: []
+    };
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return {
+      loans: [],
+      errors: [{ row: 1, message: `A file can have at most ${MAX_IMPORT_ROWS} rows` }],
+      preview: []
+    };
+  }
+
+  const errors = [];
+  const loans = [];
+  const loansByRef = new Map();
+  const borrowerCache = new Map();
+  const now = new Date();
+
+  for (const [index, cells] of dataRows.entries()) {
+    // Line numbers as a spreadsheet shows them, counting the header
+    const row = index + 2;
+    const values = Object.fromEntries(headers.map((header, i) => [header, (cells[i] || '').trim()]));
+    const type = (values.type || 'loan').toLowerCase();
+
+    if (type === 'payment') {
+      const rowErrors = validatePaymentRow(values);
+      const loan = loansByRef.get(values.ref);
+
+      if (values.ref && !loan) {
+        rowErrors.push({ field: 'ref', message: `No loan row above with ref "${values.ref}"` });
+      }
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors.map((error) => ({ row, ...error })));
+        continue;
+      }
+
+      // Historical payments come from the lender's own records, so they are confirmed
+      loan.data.payments.push({
+        amount: Number(values.amount),
+        date: new Date(values.date),
+        notes: values.notes || undefined,
+        status: 'confirmed',
+        createdBy: user.id,
+        createdAt: now,
+        confirmedAt: now
+      });
+      continue;
+    }
+
+    if (type !== 'loan') {
+      errors.push({ row, field: 'type', message: 'Type must be loan or payment' });
+      continue;
+    }
+
+    const rowErrors = validateLoanRow(values);
+    if (values.ref && loansByRef.has(values.ref)) {
+      rowErrors.push({ field: 'ref', message: `Ref "${values.ref}" is used by more than one loan` });
+    }
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors.map((error) => ({ row, ...error })));
+      continue;
+    }
+
+    const { user: borrowerUser, matchedBy } = await matchBorrower(values, borrowerCache);
+
+    const loan = {
+      row,
+      ref: values.ref || null,
+      matchedBy,
+      data: {
+        lender: user.id,
+        borrower: borrowerUser ? borrowerUser.username : values.borrower,
+        borrowerId: borrowerUser ? borrowerUser._id : null,
+        borrowerPhone: borrowerUser ? null : normalizePhoneNumber(values.phone),
+        status: borrowerUser ? 'pending' : 'active',
+        amount: Number(values.amount),
+        interestRate: Number(values.interestRate),
+        interestRateUnit: values.interestRateUnit || undefined,
+        interestRatePeriod: values.interestRatePeriod || undefined,
+        interestType: values.interestType || undefined,
+        compoundingFrequency: values.compoundingFrequency || undefined,
+        startDate: new Date(values.startDate),
+        dueDate: new Date(values.dueDate),
+        description: values.description || undefined,
+        payments: []
+      }
+    };
+
+    loans.push(loan);
+    if (loan.ref) {
+      loansByRef.set(loan.ref, loan);
+    }
+  }
+
+  // Run the model's own validation on every loan as it would be saved
+  const preview = [];
+  for (const loan of loans) {
+    const transaction = buildImportedTransaction(user, loan);
+
+    try {
+      await transaction.validate();
+    } catch (error) {
+      Object.values(error.errors || {}).forEach((fieldError) => {
+        errors.push({ row: loan.row, field: fieldError.path, message: fieldError.message });
+      });
+      continue;
+    }
+
+    const figures = transaction.getInterestSummary();
+    preview.push({
+      row: loan.row,
+      ref: loan.ref,
+      borrower: loan.data.borrower,
+      borrowerExists: !!loan.data.borrowerId,
+      matchedBy: loan.matchedBy,
+      status: loan.data.status,
+      amount: loan.data.amount,
+      startDate: loan.data.startDate,
+      dueDate: loan.data.dueDate,
+      paymentCount: loan.data.payments.length,
+      totalPaid: figures.totalPaid,
+      remainingAmount: figures.totalDue
+    });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { loans, errors, preview };
+};
+
+/**
+ * Whether an error came from using a database transaction on a standalone
+ * MongoDB server, which only supports them on a replica set or sharded cluster
+ * (IllegalOperation, code 20)
+ * @param {Error} error - Error thrown by the driver
+ * @returns {boolean} - True if the server does not support transactions
+ */
+export const isTransactionUnsupportedError = (error) =>
+  error.code === 20 || /replica set member or mongos/i.test(error.message || '');
+
+/**
+ * Save every prepared loan in one database transaction, so either all rows
+ * are imported or none are. Needs MongoDB running as a replica set (a
+ * single-node one is enough); on a standalone server nothing is saved and
+ * the error is recognised by isTransactionUnsupportedError.
+ * @param {Object} user - Lender doing the import
+ * @param {Array} loans - Prepared loans from prepareImport
+ * @returns {Promise<Array>} - Saved transactions
+ */
+export const commitImport = async (user, loans) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let saved = [];
+    await session.withTransaction(async () => {
+      // Build fresh documents on each attempt in case the transaction is retried
+      saved = [];
+      for (const loan of loans) {
+        saved.push(await buildImportedTransaction(user, loan).save({ session }));
+      }
+    });
+    return saved;
+  } finally {
+    await session.endSession();
+  }
+};
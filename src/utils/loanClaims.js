@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import Transaction from '../models/Transaction.js';
+
+/**
+ * Conditions matching loans that were recorded before the user had an
+ * account and may be theirs: not linked to anyone, made out to their
+ * username or (once verified) their phone number, and not already dismissed
+ * by them. A user cannot claim their own loans.
+ * @param {Object} user - User document
+ * @returns {Object} - MongoDB filter
+ */
+export const claimableFilter = (user) => {
+  const userId = new mongoose.Types.ObjectId(user.id);
+  const matches = [{ borrower: user.username }];
+
+  // An unverified number might belong to someone else, so it finds nothing
+  if (user.isPhoneVerified && user.phoneNumber) {
+    matches.push({ borrowerPhone: user.phoneNumber });
+  }
+
+  return {
+    borrowerId: null,
+    lender: { $ne: userId },
+    claimDismissedBy: { $ne: userId },
+    $or: matches
+  };
+};
+
+/**
+ * Number of loans waiting for the user to review and claim
+ * @param {Object} user - User document
+ * @returns {Promise<number>} - Count
+ */
+export const countClaimableLoans = (user) => Transaction.countDocuments(claimableFilter(user));
+
+/**
+ * How a claimable loan matched the user, for showing on the review screen
+ * @param {Object} transaction - Transaction document
+ * @param {Object} user - User document
+ * @returns {string} - 'username' or 'phone'
+ */
+export const claimMatchedBy = (transaction, user) =>
+  transaction.borrower === user.username ? 'username' : 'phone';
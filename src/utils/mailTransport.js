@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+/**
+ * Which transport delivers email: "smtp" (default) or "file", which writes
+ * each message to EMAIL_OUTBOX_DIR instead so no SMTP server is needed
+ * @returns {string} - Transport name
+ */
+export const getTransportName = () => (process.env.EMAIL_TRANSPORT === 'file' ? 'file' : 'smtp');
+
+/**
+ * The nodemailer transporter, created once and reused for every message
+ * @returns {Object} - Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (getTransportName() === 'file') {
+    // Build the raw message in memory; deliverEmail writes it to the outbox
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  } else {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT,
+      secure: process.env.SMTP_SECURE === 'true',
+      pool: true,
+      auth: {
+        user: process.env.SMTP_EMAIL,
+        pass: process.env.SMTP_PASSWORD,
+      },
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Deliver one email now through the configured transport
+ * @param {Object} message - Email to deliver
+ * @param {string} message.to - Recipient email
+ * @param {string} message.subject - Email subject
+ * @param {string} message.text - Plain text email body
+ * @param {string} message.html - HTML email body
+ * @returns {Promise<Object>} - { messageId, file } (file only for the file transport)
+ */
+export const deliverEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (getTransportName() !== 'file') {
+    return { messageId: info.messageId };
+  }
+
+  const outbox = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+  const file = path.join(outbox, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+
+  await fs.mkdir(outbox, { recursive: true });
+  await fs.writeFile(file, info.message);
+
+  return { messageId: info.messageId, file };
+};
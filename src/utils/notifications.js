@@ -0,0 +1,99 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendNotificationEmail } from './emailService.js';
+import { renderNotification, translateLabel } from './templates.js';
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Add a notification to a user's inbox, written in the user's preferred
+ * language, and email it if the user asked for that event by email.
+ * Failures are logged and never thrown, so a notification problem cannot
+ * fail the action that caused it.
+ * @param {Object} notification - Notification details
+ * @param {string|Object} notification.user - Recipient user ID
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} [notification.template] - Notification template name (defaults to the type)
+ * @param {Object|Function} [notification.vars] - Template variables, or a function of the
+ *   recipient's language returning them (for values that need translating)
+ * @param {Object} [notification.transaction] - Related transaction
+ * @param {string} [notification.actor] - User whose action caused it; never notified about their own action
+ * @returns {Promise<Object|null>} - Saved notification, or null if none was created
+ */
+export const notify = async ({ user, type, template, vars = {}, transaction, actor }) => {
+  const userId = idOf(user);
+  if (!userId || userId === idOf(actor)) {
+    return null;
+  }
+
+  try {
+    const recipient = await User.findById(userId).select(
+      'email fullName notificationPreferences preferredLanguage'
+    );
+    if (!recipient) {
+      return null;
+    }
+
+    const language = recipient.preferredLanguage;
+    const values = typeof vars === 'function' ? vars(language) : vars;
+    const { title, message } = renderNotification(template || type, language, values);
+
+    const notification = await Notification.create({
+      user: userId,
+      type,
+      title,
+      message,
+      transaction: transaction ? transaction._id : null,
+      actor: actor || null
+    });
+
+    if (recipient.notificationPreferences?.email?.[type]) {
+      try {
+        await sendNotificationEmail(recipient.email, recipient.fullName, { title, message }, language);
+      } catch (error) {
+        console.error(`Notification email to ${recipient.email} failed:`, error);
+      }
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Failed to create notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Notify the lender and registered borrower of a loan, except the actor
+ * @param {Object} transaction - Transaction
+ * @param {Object} notification - { type, template, vars, actor }
+ * @returns {Promise<Array>} - Saved notifications (null where none was created)
+ */
+export const notifyParties = (transaction, notification) =>
+  Promise.all(
+    [transaction.lender, transaction.borrowerId].map((user) => notify({ ...notification, user, transaction }))
+  );
+
+/**
+ * Notify both parties when a save changed a loan's status, e.g. a payment
+ * that completed the loan
+ * @param {Object} transaction - Transaction after saving
+ * @param {string} previousStatus - Status before saving
+ * @param {string} actor - User who made the change
+ * @returns {Promise<Array>} - Saved notifications (null where none was created)
+ */
+export const notifyStatusChange = async (transaction, previousStatus, actor) => {
+  if (transaction.status === previousStatus) {
+    return [];
+  }
+
+  return notifyParties(transaction, {
+    type: 'status_changed',
+    vars: (language) => ({
+      amount: transaction.amount,
+      borrower: transaction.borrower,
+      status: translateLabel('status', transaction.status, language),
+      previousStatus: translateLabel('status', previousStatus, language)
+    }),
+    actor
+  });
+};
@@ -0,0 +1,75 @@
+// Calling codes for the countries numbers are commonly entered from, keyed by
+// ISO 3166-1 alpha-2 code. nationalLength is the length of a number without
+// its calling code or trunk prefix, used to recognise numbers that already
+// include the calling code but not the "+".
+const COUNTRIES = {
+  IN: { callingCode: '91', nationalLength: 10 },
+  NP: { callingCode: '977', nationalLength: 10 },
+  BD: { callingCode: '880', nationalLength: 10 },
+  PK: { callingCode: '92', nationalLength: 10 },
+  AE: { callingCode: '971', nationalLength: 9 },
+  GB: { callingCode: '44', nationalLength: 10 },
+  US: { callingCode: '1', nationalLength: 10 },
+  CA: { callingCode: '1', nationalLength: 10 },
+  AU: { callingCode: '61', nationalLength: 9 }
+};
+
+// E.164: a "+", then at most 15 digits with no leading zero
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Country assumed for numbers entered without a calling code (DEFAULT_PHONE_COUNTRY, default IN)
+ * @returns {string} - ISO 3166-1 alpha-2 code
+ */
+export const getDefaultPhoneCountry = () => (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+/**
+ * Normalise a phone number to E.164, e.g. "098123 45678", "+91 98123-45678"
+ * and "919812345678" all become "+919812345678" with the default country IN
+ * @param {string} input - Phone number as entered
+ * @param {string} [country] - Country for numbers without a calling code (defaults to DEFAULT_PHONE_COUNTRY)
+ * @returns {string|null} - E.164 number, or null if it cannot be a valid number
+ */
+export const normalizePhoneNumber = (input, country = getDefaultPhoneCountry()) => {
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return null;
+  }
+
+  const raw = String(input).trim();
+  // Only digits, spaces and the usual separators may appear after an optional leading "+"
+  if (!/^\+?[\d\s().\-/]+$/.test(raw)) {
+    return null;
+  }
+
+  let digits = raw.replace(/\D/g, '');
+  let number;
+
+  if (raw.startsWith('+')) {
+    number = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    // International dialling prefix used instead of "+"
+    number = `+${digits.slice(2)}`;
+  } else {
+    const { callingCode, nationalLength } = COUNTRIES[country] || COUNTRIES.IN;
+
+    if (digits.length === callingCode.length + nationalLength && digits.startsWith(callingCode)) {
+      number = `+${digits}`;
+    } else {
+      // Drop the trunk prefix ("0" in India and the UK) used when dialling within the country
+      digits = digits.replace(/^0+/, '');
+      if (digits.length !== nationalLength) {
+        return null;
+      }
+      number = `+${callingCode}${digits}`;
+    }
+  }
+
+  return E164_PATTERN.test(number) ? number : null;
+};
+
+/**
+ * Whether a value can be normalised to a phone number, for use in express-validator custom()
+ * @param {string} value - Phone number as entered
+ * @returns {boolean} - True if valid
+ */
+export const isValidPhoneNumber = (value) => normalizePhoneNumber(value) !== null;
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import Transaction, { ACCEPTED_STATUSES } from '../models/Transaction.js';
+import { roundMoney } from './interestCalculator.js';
+import { participantFilter } from './transactionQuery.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['active', 'overdue', 'defaulted'];
+
+/**
+ * Lender and borrower totals from $group results keyed by role
+ * @param {Array} groups - [{ _id: 'lender' | 'borrower', ...fields }]
+ * @param {Array<string>} fields - Fields to copy, defaulting to 0
+ * @returns {Object} - { asLender, asBorrower }
+ */
+const byRole = (groups, fields) => {
+  const pick = (role) => {
+    const group = groups.find((item) => item._id === role) || {};
+    return Object.fromEntries(fields.map((field) => [field, roundMoney(group[field] || 0)]));
+  };
+
+  return { asLender: pick('lender'), asBorrower: pick('borrower') };
+};
+
+/**
+ * Build the dashboard summary of a user's loans
+ * @param {Object} user - Logged-in user
+ * @param {Object} [options] - Summary options
+ * @param {Date} [options.now] - Date to calculate as of
+ * @param {number} [options.months] - Months of history in the chart
+ * @returns {Promise<Object>} - Portfolio summary
+ */
+export const buildPortfolioSummary = async (user, { now = new Date(), months = 12 } = {}) => {
+  const userId = new mongoose.Types.ObjectId(user.id);
+  const roleOf = { $cond: [{ $eq: ['$lender', userId] }, 'lender', 'borrower'] };
+  const in7Days = new Date(now.getTime() + 7 * MS_PER_DAY);
+  const in30Days = new Date(now.getTime() + 30 * MS_PER_DAY);
+  const chartStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+  const yearMonth = (field) => ({ $dateToString: { format: '%Y-%m', date: field } });
+
+  // Sum of what falls due between now and the given date, from installments where a loan has them
+  const dueWithin = (until) => ({
+    $sum: { $cond: [{ $lte: ['$dueDate', until] }, '$amountDue', 0] }
+  });
+
+  const [facets] = await Transaction.aggregate([
+    { $match: { ...participantFilter(user), status: { $in: ACCEPTED_STATUSES } } },
+    { $addFields: { role: roleOf } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: '$role',
+              principal: { $sum: '$amount' },
+              totalPaid: { $sum: '$totalPaid' },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        // Stored remaining amounts, with interest accrued up to the last overdue sweep (refreshTotals
+        // runs on every open loan each sweep), so the whole book is never loaded here. Payments go
+        // to interest first, so whatever is left up to the loan amount is principal.
+        outstanding: [
+          { $match: { status: { $in: OPEN_STATUSES } } },
+          {
+            $group: {
+              _id: '$role',
+              principal: { $sum: { $min: ['$amount', '$remainingAmount'] } },
+              total: { $sum: '$remainingAmount' }
+            }
+          },
+          { $addFields: { interest: { $subtract: ['$total', '$principal'] } } }
+        ],
+        overdue: [
+          { $match: { status: { $in: ['overdue', 'defaulted'] } } },
+          {
+            $group: {
+              _id: '$role',
+              overdueAmount: { $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, '$remainingAmount', 0] } },
+              overdueCount: { $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, 1, 0] } },
+              defaultedAmount: { $sum: { $cond: [{ $eq: ['$status', 'defaulted'] }, '$remainingAmount', 0] } },
+              defaultedCount: { $sum: { $cond: [{ $eq: ['$status', 'defaulted'] }, 1, 0] } }
+            }
+          }
+        ],
+        dueSingle: [
+          {
+            $match: {
+              status: { $in: OPEN_STATUSES },
+              'installments.0': { $exists: false },
+              dueDate: { $gte: now, $lte: in30Days }
+            }
+          },
+          { $addFields: { amountDue: '$remainingAmount' } },
+          {
+            $group: {
+              _id: '$role',
+              next7Days: dueWithin(in7Days),
+              next30Days: dueWithin(in30Days)
+            }
+          }
+        ],
+        dueInstallments: [
+          { $match: { status: { $in: OPEN_STATUSES } } },
+          { $unwind: '$installments' },
+          {
+            $match: {
+              'installments.status': { $ne: 'paid' },
+              'installments.dueDate': { $gte: now, $lte: in30Days }
+            }
+          },
+          {
+            $addFields: {
+              dueDate: '$installments.dueDate',
+              amountDue: { $subtract: ['$installments.amount', { $ifNull: ['$installments.paidAmount', 0] }] }
+            }
+          },
+          {
+            $group: {
+              _id: '$role',
+              next7Days: dueWithin(in7Days),
+              next30Days: dueWithin(in30Days)
+            }
+          }
+        ],
+        lentByMonth: [
+          { $match: { startDate: { $gte: chartStart } } },
+          { $group: { _id: { month: yearMonth('$startDate'), role: '$role' }, amount: { $sum: '$amount' } } }
+        ],
+        repaidByMonth: [
+          { $unwind: '$payments' },
+          {
+            $match: {
+              'payments.date': { $gte: chartStart },
+              $or: [{ 'payments.status': 'confirmed' }, { 'payments.status': { $exists: false } }]
+            }
+          },
+          {
+            $group: {
+              _id: { month: yearMonth('$payments.date'), role: '$role' },
+              amount: { $sum: '$payments.amount' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const outstanding = byRole(facets.outstanding, ['principal', 'interest', 'total']);
+
+  const dueSingle = byRole(facets.dueSingle, ['next7Days', 'next30Days']);
+  const dueInstallments = byRole(facets.dueInstallments, ['next7Days', 'next30Days']);
+  const dueSoon = {};
+  ['asLender', 'asBorrower'].forEach((side) => {
+    dueSoon[side] = {
+      next7Days: roundMoney(dueSingle[side].next7Days + dueInstallments[side].next7Days),
+      next30Days: roundMoney(dueSingle[side].next30Days + dueInstallments[side].next30Days)
+    };
+  });
+
+  // One row per month (UTC), oldest first, including months with no activity
+  const chart = [];
+  for (let i = 0; i < months; i++) {
+    const date = new Date(Date.UTC(chartStart.getUTCFullYear(), chartStart.getUTCMonth() + i, 1));
+    const month = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    const amountFor = (groups, role) => {
+      const group = groups.find((item) => item._id.month === month && item._id.role === role);
+      return group ? roundMoney(group.amount) : 0;
+    };
+
+    chart.push({
+      month,
+      lent: amountFor(facets.lentByMonth, 'lender'),
+      repaidToMe: amountFor(facets.repaidByMonth, 'lender'),
+      borrowed: amountFor(facets.lentByMonth, 'borrower'),
+      repaidByMe: amountFor(facets.repaidByMonth, 'borrower')
+    });
+  }
+
+  const totals = byRole(facets.totals, ['principal', 'totalPaid', 'count']);
+
+  return {
+    asOf: now,
+    totalLent: totals.asLender.principal,
+    totalBorrowed: totals.asBorrower.principal,
+    loansAsLender: totals.asLender.count,
+    loansAsBorrower: totals.asBorrower.count,
+    outstanding,
+    overdue: byRole(facets.overdue, ['overdueAmount', 'overdueCount', 'defaultedAmount', 'defaultedCount']),
+    dueSoon,
+    chart
+  };
+};
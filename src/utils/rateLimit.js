@@ -0,0 +1,163 @@
+import RateLimit from '../models/RateLimit.js';
+
+// A key that has been quiet this long is forgotten, which also resets its backoff
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+// Upper bound on a single lockout
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Limits on failed attempts. Within windowMinutes, `max` failures lock the
+ * key for lockoutMinutes, doubled for each lockout in a row.
+ * AUTH_ACCOUNT_MAX_FAILURES (default 5) and AUTH_IP_MAX_FAILURES (default 20)
+ * set `max`; AUTH_LOCKOUT_MINUTES (default 15) sets both the window and the
+ * first lockout.
+ * @param {string} scope - 'account' or 'ip'
+ * @returns {Object} - { max, windowMs, lockoutMs }
+ */
+const getPolicy = (scope) => {
+  const minutes = Number(process.env.AUTH_LOCKOUT_MINUTES) || 15;
+  const max = scope === 'ip'
+    ? Number(process.env.AUTH_IP_MAX_FAILURES) || 20
+    : Number(process.env.AUTH_ACCOUNT_MAX_FAILURES) || 5;
+
+  return { max, windowMs: minutes * 60 * 1000, lockoutMs: minutes * 60 * 1000 };
+};
+
+/**
+ * Seconds between OTP requests for the same account (OTP_RESEND_COOLDOWN_SECONDS, default 60)
+ * @returns {number} - Seconds
+ */
+export const getOtpCooldownSeconds = () => Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+// Run an upsert, retrying once if a parallel request created the record first
+const upsert = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return await operation();
+  }
+};
+
+/**
+ * Rate limit keys for an action, one for the account and one for the client's IP address
+ * @param {string} action - e.g. 'login' or 'reset-password'
+ * @param {Object} req - Express request
+ * @param {string} account - Username or user ID the attempt is for
+ * @returns {Object} - { account, ip }
+ */
+export const attemptKeys = (action, req, account) => ({
+  account: `${action}:account:${String(account).toLowerCase()}`,
+  ip: `${action}:ip:${req.ip}`
+});
+
+/**
+ * Seconds until the given keys are unlocked
+ * @param {Object} keys - Keys from attemptKeys
+ * @returns {Promise<number>} - Seconds to wait, or 0 if none of them is locked
+ */
+export const getLockout = async (keys) => {
+  const now = new Date();
+  const locked = await RateLimit.find({ key: { $in: Object.values(keys) }, lockedUntil: { $gt: now } });
+
+  return locked.reduce((longest, record) => Math.max(longest, secondsUntil(record.lockedUntil, now)), 0);
+};
+
+/**
+ * Count a failure against one key, locking it once it reaches the limit
+ * @param {string} key - Rate limit key
+ * @param {Object} policy - Policy from getPolicy
+ * @returns {Promise<number>} - Seconds the key is now locked for, or 0
+ */
+const recordFailure = async (key, { max, windowMs, lockoutMs }) => {
+  const now = new Date();
+
+  // Start a new window if the last one has ended
+  await RateLimit.updateOne(
+    { key, windowStartedAt: { $lte: new Date(now.getTime() - windowMs) } },
+    { $set: { failures: 0, windowStartedAt: now } }
+  );
+
+  const record = await upsert(() => RateLimit.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { expiresAt: new Date(now.getTime() + RESET_AFTER_MS) },
+      $setOnInsert: { windowStartedAt: now }
+    },
+    { upsert: true, new: true }
+  ));
+
+  if (record.failures < max) {
+    return 0;
+  }
+
+  const lockedUntil = new Date(now.getTime() + Math.min(lockoutMs * 2 ** record.lockouts, MAX_LOCKOUT_MS));
+
+  // Only one of several parallel failures gets to start the lockout
+  const locked = await RateLimit.findOneAndUpdate(
+    { _id: record._id, failures: { $gte: max } },
+    {
+      $set: {
+        failures: 0,
+        windowStartedAt: now,
+        lockedUntil,
+        expiresAt: new Date(lockedUntil.getTime() + RESET_AFTER_MS)
+      },
+      $inc: { lockouts: 1 }
+    },
+    { new: true }
+  );
+
+  return locked ? secondsUntil(lockedUntil, now) : 0;
+};
+
+/**
+ * Count a failed attempt against the account and the IP address
+ * @param {Object} keys - Keys from attemptKeys
+ * @returns {Promise<number>} - Seconds the caller is now locked out for, or 0
+ */
+export const recordFailedAttempt = async (keys) => {
+  const [account, ip] = await Promise.all([
+    recordFailure(keys.account, getPolicy('account')),
+    recordFailure(keys.ip, getPolicy('ip'))
+  ]);
+
+  return Math.max(account, ip);
+};
+
+/**
+ * Forget an account's failures after a successful attempt. The IP address
+ * keeps its count, so one valid account cannot be used to reset it.
+ * @param {Object} keys - Keys from attemptKeys
+ * @returns {Promise<Object>} - Delete result
+ */
+export const clearFailedAttempts = (keys) => RateLimit.deleteOne({ key: keys.account });
+
+/**
+ * Start a cooldown on a key unless one is already running
+ * @param {string} key - Cooldown key, e.g. 'otp:reset-password:<userId>'
+ * @param {number} seconds - Length of the cooldown
+ * @returns {Promise<number>} - 0 if the cooldown was started, otherwise seconds left on the running one
+ */
+export const startCooldown = async (key, seconds) => {
+  const now = new Date();
+  const until = new Date(now.getTime() + seconds * 1000);
+
+  try {
+    // Matches only if there is no running cooldown; otherwise the upsert hits the unique key
+    await RateLimit.findOneAndUpdate(
+      { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: until, expiresAt: until } },
+      { upsert: true }
+    );
+    return 0;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const running = await RateLimit.findOne({ key });
+  return running && running.lockedUntil > now ? secondsUntil(running.lockedUntil, now) : 0;
+};
@@ -0,0 +1,182 @@
+import { roundMoney } from './interestCalculator.js';
+
+export const REPAYMENT_PLANS = ['single', 'emi', 'interestOnly', 'custom'];
+export const INSTALLMENT_STATUSES = ['pending', 'partial', 'paid', 'overdue'];
+
+/**
+ * Add whole months to a date, clamping to the last day of shorter months
+ * @param {Date} date - Date to start from
+ * @param {number} months - Number of months to add
+ * @returns {Date} - New date
+ */
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+
+  return result;
+};
+
+/**
+ * Whole months between two dates, at least 1
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} - Number of months
+ */
+const monthsBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  const months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+  return Math.max(months, 1);
+};
+
+/**
+ * Equal monthly installments that pay off principal and interest together
+ * @param {number} amount - Principal
+ * @param {number} monthlyRate - Monthly rate as a fraction
+ * @param {number} count - Number of installments
+ * @param {Date} startDate - Loan start date
+ * @returns {Array} - Installments
+ */
+const buildEmiSchedule = (amount, monthlyRate, count, startDate) => {
+  const emi = monthlyRate > 0
+    ? (amount * monthlyRate * Math.pow(1 + monthlyRate, count)) / (Math.pow(1 + monthlyRate, count) - 1)
+    : amount / count;
+
+  const installments = [];
+  let balance = amount;
+
+  for (let number = 1; number <= count; number++) {
+    const interest = roundMoney(balance * monthlyRate);
+    // The last installment clears whatever rounding has left behind
+    const principal = number === count ? roundMoney(balance) : roundMoney(emi - interest);
+
+    balance -= principal;
+    installments.push({
+      number,
+      dueDate: addMonths(startDate, number),
+      principal,
+      interest,
+      amount: roundMoney(principal + interest)
+    });
+  }
+
+  return installments;
+};
+
+/**
+ * Monthly interest-only installments with the principal due as a balloon at the end
+ * @param {number} amount - Principal
+ * @param {number} monthlyRate - Monthly rate as a fraction
+ * @param {number} count - Number of installments
+ * @param {Date} startDate - Loan start date
+ * @returns {Array} - Installments
+ */
+const buildInterestOnlySchedule = (amount, monthlyRate, count, startDate) => {
+  const interest = roundMoney(amount * monthlyRate);
+  const installments = [];
+
+  for (let number = 1; number <= count; number++) {
+    const principal = number === count ? amount : 0;
+    installments.push({
+      number,
+      dueDate: addMonths(startDate, number),
+      principal,
+      interest,
+      amount: roundMoney(principal + interest)
+    });
+  }
+
+  return installments;
+};
+
+/**
+ * Installments on dates and amounts chosen by the lender
+ * @param {Array} customInstallments - [{ dueDate, amount }]
+ * @returns {Array} - Installments sorted by due date
+ */
+const buildCustomSchedule = (customInstallments) =>
+  [...customInstallments]
+    .map((installment) => ({
+      dueDate: new Date(installment.dueDate),
+      amount: roundMoney(Number(installment.amount))
+    }))
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .map((installment, index) => ({
+      number: index + 1,
+      dueDate: installment.dueDate,
+      principal: null,
+      interest: null,
+      amount: installment.amount
+    }));
+
+/**
+ * Generate a repayment schedule for a loan
+ * @param {Object} options - Schedule options
+ * @param {string} options.plan - One of REPAYMENT_PLANS
+ * @param {number} options.amount - Principal
+ * @param {number} options.annualRate - Nominal percent per annum
+ * @param {Date} options.startDate - Loan start date
+ * @param {Date} options.dueDate - Final due date, used to count months when installmentCount is missing
+ * @param {number} [options.installmentCount] - Number of monthly installments
+ * @param {Array} [options.customInstallments] - [{ dueDate, amount }] for the custom plan
+ * @returns {Array} - Installments, empty for a single-payment loan
+ */
+export const generateSchedule = ({
+  plan,
+  amount,
+  annualRate,
+  startDate,
+  dueDate,
+  installmentCount,
+  customInstallments
+}) => {
+  const monthlyRate = (annualRate || 0) / 100 / 12;
+  const count = installmentCount ? Number(installmentCount) : monthsBetween(startDate, dueDate);
+
+  switch (plan) {
+    case 'emi':
+      return buildEmiSchedule(amount, monthlyRate, count, startDate);
+    case 'interestOnly':
+      return buildInterestOnlySchedule(amount, monthlyRate, count, startDate);
+    case 'custom':
+      return buildCustomSchedule(customInstallments || []);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Apply a total paid amount to installments in due-date order and set each status
+ * @param {Array} installments - Installments (mutated in place)
+ * @param {number} totalPaid - Total paid on the loan
+ * @param {Date} [asOf] - Date used to decide whether an installment is overdue
+ * @returns {Array} - The same installments
+ */
+export const applyPaymentsToSchedule = (installments, totalPaid, asOf = new Date()) => {
+  let available = totalPaid;
+
+  installments.forEach((installment) => {
+    const paidAmount = roundMoney(Math.min(Math.max(available, 0), installment.amount));
+    available -= paidAmount;
+
+    installment.paidAmount = paidAmount;
+
+    if (paidAmount >= installment.amount) {
+      installment.status = 'paid';
+    } else if (new Date(installment.dueDate) < asOf) {
+      installment.status = 'overdue';
+    } else if (paidAmount > 0) {
+      installment.status = 'partial';
+    } else {
+      installment.status = 'pending';
+    }
+  });
+
+  return installments;
+};
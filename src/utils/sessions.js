@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Days a refresh token stays valid without being used (REFRESH_TOKEN_EXPIRE_DAYS, default 30)
+ * @returns {number} - Days
+ */
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+/**
+ * Device details for a session from the request
+ * @param {Object} req - Express request
+ * @returns {Object} - { deviceName, userAgent, ip }
+ */
+const deviceFrom = (req) => ({
+  deviceName: req.body && typeof req.body.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : null,
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null
+});
+
+/**
+ * Tokens to return to the client for a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Object} - { token, refreshToken, sessionId, refreshTokenExpiresAt }
+ */
+const tokensFor = (user, session, refreshToken) => ({
+  token: user.getSignedJwtToken(session._id),
+  refreshToken,
+  sessionId: session._id,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Start a session for a device that has just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device details)
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId, refreshTokenExpiresAt }
+ */
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * MS_PER_DAY),
+    ...deviceFrom(req)
+  });
+
+  return tokensFor(user, session, refreshToken);
+};
+
+/**
+ * Swap a refresh token for a new access token and a new refresh token. The
+ * old refresh token stops working; presenting it again revokes the session,
+ * since only a stolen copy would still be using it.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request (for device details)
+ * @returns {Promise<Object|null>} - New tokens, or null if the refresh token is not valid
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newToken = newRefreshToken();
+  const now = new Date();
+
+  // Replace the token in one step so two refreshes with the same token cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenDays() * MS_PER_DAY),
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'revoked');
+    return null;
+  }
+
+  return tokensFor(user, session, newToken);
+};
+
+/**
+ * Find an active session of a user
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Session, or null if it is missing, expired or revoked
+ */
+export const findActiveSession = (sessionId, userId) =>
+  Session.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - One of the Session revokedReason values
+ * @returns {Promise<Object>} - Update result
+ */
+export const revokeSession = (sessionId, reason) =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} reason - One of the Session revokedReason values
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { renderSms } from './templates.js';
+
+/**
+ * SMS providers by name. A provider is an object with an async
+ * `send({ to, body })` that resolves to `{ id }` and throws if the message
+ * was not accepted. Pick one with SMS_PROVIDER (default "stub", which is
+ * refused when NODE_ENV is production).
+ */
+const providers = {
+  // Development provider: logs the message and writes it to SMS_OUTBOX_DIR instead of sending it
+  stub: {
+    async send({ to, body }) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const outbox = path.resolve(process.env.SMS_OUTBOX_DIR || 'outbox/sms');
+
+      await fs.mkdir(outbox, { recursive: true });
+      await fs.writeFile(path.join(outbox, `${id}.json`), JSON.stringify({ to, body, sentAt: new Date() }, null, 2));
+      // The body holds OTPs and invite links, so it only goes to the outbox file
+      console.log(`SMS (stub) to ${to} written to ${outbox}`);
+
+      return { id };
+    }
+  },
+
+  // Twilio's REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+  twilio: {
+    async send({ to, body }) {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const credentials = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: body })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Twilio rejected the SMS (${response.status}): ${await response.text()}`);
+      }
+
+      const data = await response.json();
+      return { id: data.sid };
+    }
+  }
+};
+
+/**
+ * Add or replace an SMS provider
+ * @param {string} name - Provider name, as used in SMS_PROVIDER
+ * @param {Object} provider - Object with an async send({ to, body }) method
+ */
+export const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Recipient phone number
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} - { id } from the provider
+ */
+export const sendSms = async (to, body) => {
+  const name = process.env.SMS_PROVIDER || 'stub';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  // Otherwise an unconfigured deployment would look like it sends SMS while nothing goes out
+  if (name === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new Error('SMS_PROVIDER must be set to a real provider in production');
+  }
+
+  return await provider.send({ to, body });
+};
+
+/**
+ * Send phone verification OTP by SMS
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} otp - Verification OTP
+ * @param {string} [language] - Recipient's preferred language
+ * @returns {Promise} - Send result
+ */
+export const sendPhoneVerificationSms = async (phoneNumber, otp, language) =>
+  sendSms(phoneNumber, renderSms('phoneVerification', language, { otp }));
+
+/**
+ * Send password reset OTP by SMS
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} otp - Reset OTP
+ * @param {string} [language] - Recipient's preferred language
+ * @returns {Promise} - Send result
+ */
+export const sendPasswordResetSms = async (phoneNumber, otp, language) =>
+  sendSms(phoneNumber, renderSms('passwordReset', language, { otp }));
+
+/**
+ * Invite an unregistered borrower to sign up by SMS
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {Object} invite - Invite details
+ * @param {string} invite.lenderName - Name of the lender
+ * @param {number} invite.amount - Loan amount
+ * @param {string} invite.link - Signup link carrying the invite code
+ * @param {Date} invite.expiresAt - When the invite expires
+ * @param {string} [language] - Language to write the invite in
+ * @returns {Promise} - Send result
+ */
+export const sendInviteSms = async (phoneNumber, { lenderName, amount, link, expiresAt }, language) =>
+  sendSms(phoneNumber, renderSms('invite', language, { lenderName, amount, link, expiresAt }));
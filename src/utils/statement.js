@@ -0,0 +1,217 @@
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import Transaction, { ACCEPTED_STATUSES } from '../models/Transaction.js';
+import { buildLedgerEntries } from './counterpartyLedger.js';
+import { roundMoney } from './interestCalculator.js';
+import { buildListFilters, combineFilters } from './transactionQuery.js';
+import { toCsv } from './csv.js';
+
+const CSV_COLUMNS = ['Date', 'Type', 'Counterparty', 'Transaction', 'Description', 'Amount', 'Balance'];
+
+// Noto Sans fonts (src/assets/fonts, SIL Open Font License) cover Latin as well as their own
+// script; PDFKit's built-in fonts cannot show Hindi or Gujarati names
+const fontPath = (file) => fileURLToPath(new URL(`../assets/fonts/${file}`, import.meta.url));
+const PDF_FONTS = {
+  devanagari: fontPath('NotoSansDevanagari-Regular.ttf'),
+  gujarati: fontPath('NotoSansGujarati-Regular.ttf')
+};
+const GUJARATI_PATTERN = /[\u0A80-\u0AFF]/;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+const formatMoney = (value) => roundMoney(value).toFixed(2);
+
+/**
+ * Build an account statement for the user over a date range.
+ *
+ * Scope is one transaction (transactionId), one counterparty (counterparty)
+ * or the whole account. Balances are from the user's side: positive means
+ * the user is owed money. Entries before `from` make up the opening balance.
+ *
+ * @param {Object} user - Logged-in user
+ * @param {Object} options - Statement options
+ * @param {string} [options.transactionId] - Limit to one transaction
+ * @param {string} [options.counterparty] - Limit to one counterparty
+ * @param {Date} [options.from] - Start of the period
+ * @param {Date} [options.to] - End of the period (defaults to now)
+ * @returns {Promise<Object|null>} - Statement, or null if the transaction was not found
+ */
+export const buildStatement = async (user, { transactionId, counterparty, from, to = new Date() }) => {
+  const filters = await buildListFilters(user, { counterparty });
+
+  if (transactionId) {
+    filters.transaction = { _id: new mongoose.Types.ObjectId(transactionId) };
+  }
+
+  const transactions = await Transaction.find({
+    ...combineFilters(user, filters),
+    status: { $in: ACCEPTED_STATUSES }
+  }).populate({
+    path: 'lender',
+    select: 'username',
+    // Loans outlive their lender's account, so a deleted lender still needs a name here
+    options: { withDeleted: true }
+  });
+
+  if (transactionId && transactions.length === 0) {
+    return null;
+  }
+
+  const entries = buildLedgerEntries(user, transactions);
+  const isBeforePeriod = (entry) => from && new Date(entry.date) < from;
+  const isInPeriod = (entry) => !isBeforePeriod(entry) && new Date(entry.date) <= to;
+
+  const openingBalance = entries.filter(isBeforePeriod).reduce((sum, entry) => sum + entry.effect, 0);
+
+  let balance = openingBalance;
+  const rows = entries.filter(isInPeriod).map((entry) => {
+    balance += entry.effect;
+    return {
+      date: entry.date,
+      type: entry.type,
+      counterparty: entry.counterparty,
+      transactionId: entry.transactionId,
+      description: entry.description || '',
+      amount: roundMoney(entry.effect),
+      balance: roundMoney(balance)
+    };
+  });
+
+  let scope = 'All transactions';
+  if (transactionId) {
+    scope = `Transaction ${transactionId}`;
+  } else if (counterparty) {
+    scope = `Transactions with ${counterparty}`;
+  }
+
+  return {
+    header: {
+      username: user.username,
+      fullName: user.fullName,
+      fatherName: user.fatherName || '',
+      village: user.village,
+      scope,
+      from: from || null,
+      to,
+      generatedAt: new Date()
+    },
+    openingBalance: roundMoney(openingBalance),
+    closingBalance: roundMoney(balance),
+    rows
+  };
+};
+
+/**
+ * Render a statement as CSV
+ * @param {Object} statement - Result of buildStatement
+ * @returns {string} - CSV text
+ */
+export const statementToCsv = ({ header, openingBalance, closingBalance, rows }) =>
+  toCsv([
+    ['Name', header.fullName],
+    ["Father's name", header.fatherName],
+    ['Village', header.village],
+    ['Username', header.username],
+    ['Scope', header.scope],
+    ['Period', `${formatDate(header.from) || 'Start'} to ${formatDate(header.to)}`],
+    [],
+    ['Opening balance', formatMoney(openingBalance)],
+    [],
+    CSV_COLUMNS,
+    ...rows.map((row) => [
+      formatDate(row.date),
+      row.type,
+      row.counterparty,
+      row.transactionId,
+      row.description,
+      formatMoney(row.amount),
+      formatMoney(row.balance)
+    ]),
+    [],
+    ['Closing balance', formatMoney(closingBalance)]
+  ]);
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - Result of buildStatement
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export const statementToPdf = ({ header, openingBalance, closingBalance, rows }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('devanagari', PDF_FONTS.devanagari);
+    doc.registerFont('gujarati', PDF_FONTS.gujarati);
+
+    // Pick the font whose script the text is in (Latin text works with either)
+    const useFontFor = (text) => doc.font(GUJARATI_PATTERN.test(text) ? 'gujarati' : 'devanagari');
+
+    doc.fontSize(16).text('Account Statement', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    [
+      `Name: ${header.fullName}`,
+      `Father's name: ${header.fatherName || '-'}`,
+      `Village: ${header.village}`,
+      `Username: ${header.username}`,
+      `Scope: ${header.scope}`
+    ].forEach((line) => useFontFor(line).text(line));
+    doc.font('devanagari');
+    doc.text(`Period: ${formatDate(header.from) || 'Start'} to ${formatDate(header.to)}`);
+    doc.text(`Generated: ${formatDate(header.generatedAt)}`);
+    doc.moveDown();
+
+    doc.text(`Opening balance: ${formatMoney(openingBalance)}`);
+    doc.moveDown(0.5);
+
+    // Transaction ids are left out of the PDF to keep rows readable on paper
+    const columns = [
+      { label: 'Date', width: 65, value: (row) => formatDate(row.date) },
+      { label: 'Type', width: 60, value: (row) => row.type },
+      { label: 'Counterparty', width: 90, value: (row) => row.counterparty },
+      { label: 'Description', width: 155, value: (row) => row.description },
+      { label: 'Amount', width: 70, value: (row) => formatMoney(row.amount) },
+      { label: 'Balance', width: 75, value: (row) => formatMoney(row.balance) }
+    ];
+
+    const drawRow = (cells, font) => {
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      let bottom = y;
+
+      cells.forEach((cell, index) => {
+        if (font) {
+          doc.font(font);
+        } else {
+          useFontFor(String(cell));
+        }
+        doc.text(String(cell), x, y, { width: columns[index].width - 5 });
+        bottom = Math.max(bottom, doc.y);
+        x += columns[index].width;
+      });
+
+      doc.x = doc.page.margins.left;
+      doc.y = bottom;
+      doc.moveDown(0.3);
+    };
+
+    drawRow(columns.map((column) => column.label), 'Helvetica-Bold');
+
+    rows.forEach((row) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+        doc.addPage();
+      }
+      drawRow(columns.map((column) => column.value(row)));
+    });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text(`Closing balance: ${formatMoney(closingBalance)}`);
+
+    doc.end();
+  });
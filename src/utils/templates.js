@@ -0,0 +1,187 @@
+import en from '../templates/en.js';
+import hi from '../templates/hi.js';
+import gu from '../templates/gu.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Template sets by language code; anything missing falls back to English
+const TEMPLATES = { en, hi, gu };
+
+export const SUPPORTED_LANGUAGES = Object.keys(TEMPLATES);
+
+// Locale used to format dates and numbers for each language
+const INTL_LOCALES = { en: 'en-IN', hi: 'hi-IN', gu: 'gu-IN' };
+
+/**
+ * Language to use for a user, falling back to English
+ * @param {string} [language] - Requested language code
+ * @returns {string} - Supported language code
+ */
+export const resolveLanguage = (language) =>
+  SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format a variable for the language: dates and numbers use the locale's
+ * conventions, everything else is used as is
+ * @param {*} value - Variable value
+ * @param {string} language - Language code
+ * @returns {string} - Formatted value
+ */
+const formatValue = (value, language) => {
+  const locale = INTL_LOCALES[language];
+
+  if (value instanceof Date) {
+    return value.toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString(locale, { maximumFractionDigits: 2 });
+  }
+  return value === undefined || value === null ? '' : String(value);
+};
+
+// Sections, plurals and variables, matched in one pass so
+// inserted values are never scanned for placeholders themselves
+const TOKEN = /{{([#^])(\w+)}}([\s\S]*?){{\/\2}}|{{(\w+)\|([^|}]*)\|([^|}]*)}}|{{(\w+)}}/g;
+
+const isPresent = (value) =>
+  Array.isArray(value) ? value.length > 0 : !!value || value === 0;
+
+/**
+ * Fill in a template string.
+ *
+ * - `{{name}}` inserts a variable (HTML-escaped when `html` is set)
+ * - `{{count|day|days}}` inserts a number followed by its singular or plural word
+ * - `{{#name}}...{{/name}}` keeps the section when the variable is set, or
+ *   repeats it for each item when the variable is a list
+ * - `{{^name}}...{{/name}}` keeps the section when the variable is unset or an empty list
+ *
+ * @param {string} template - Template string
+ * @param {Object} vars - Variables
+ * @param {string} language - Language code
+ * @param {boolean} [html] - Whether the output is HTML
+ * @returns {string} - Rendered string
+ */
+export const interpolate = (template, vars, language, html = false) => {
+  const plurals = new Intl.PluralRules(INTL_LOCALES[language]);
+  const escape = html ? escapeHtml : (value) => value;
+
+  return template.replace(
+    TOKEN,
+    (match, sectionType, sectionName, section, countName, one, other, name) => {
+      if (sectionName) {
+        const value = vars[sectionName];
+        if (sectionType === '^') {
+          return isPresent(value) ? '' : interpolate(section, vars, language, html);
+        }
+        if (Array.isArray(value)) {
+          return value.map((item) => interpolate(section, { ...vars, ...item }, language, html)).join('');
+        }
+        return isPresent(value) ? interpolate(section, vars, language, html) : '';
+      }
+
+      if (countName) {
+        const count = Number(vars[countName]);
+        return `${formatValue(count, language)} ${plurals.select(count) === 'one' ? one : other}`;
+      }
+
+      return escape(formatValue(vars[name], language));
+    }
+  );
+};
+
+/**
+ * Look up a named template in a language, falling back to English
+ * @param {string} group - Template group (emails, sms, notifications or labels)
+ * @param {string} name - Template name
+ * @param {string} language - Language code
+ * @returns {*} - Template, or undefined if it does not exist in English either
+ */
+const findTemplate = (group, name, language) =>
+  TEMPLATES[resolveLanguage(language)][group]?.[name] ?? TEMPLATES[DEFAULT_LANGUAGE][group]?.[name];
+
+/**
+ * Translate a fixed value such as a loan status
+ * @param {string} kind - Label kind (e.g. status)
+ * @param {string} value - Value to translate
+ * @param {string} [language] - Language code
+ * @returns {string} - Translated label, or the value itself if there is none
+ */
+export const translateLabel = (kind, value, language) => {
+  const labels = findTemplate('labels', kind, language) || {};
+  return labels[value] || value;
+};
+
+/**
+ * Render a named email in the user's language
+ * @param {string} name - Email template name
+ * @param {string} [language] - Language code
+ * @param {Object} [vars] - Template variables
+ * @returns {Object} - { subject, text, html }
+ */
+export const renderEmail = (name, language, vars = {}) => {
+  const lang = resolveLanguage(language);
+  const template = findTemplate('emails', name, lang);
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const body = interpolate(template.html, vars, lang, true);
+
+  return {
+    subject: interpolate(template.subject, vars, lang),
+    text: interpolate(template.text, vars, lang),
+    html: `
+    <div lang="${lang}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${body.trim()}
+    </div>
+  `
+  };
+};
+
+/**
+ * Render a named in-app notification in the user's language
+ * @param {string} name - Notification template name
+ * @param {string} [language] - Language code
+ * @param {Object} [vars] - Template variables
+ * @returns {Object} - { title, message }
+ */
+export const renderNotification = (name, language, vars = {}) => {
+  const lang = resolveLanguage(language);
+  const template = findTemplate('notifications', name, lang);
+
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  return {
+    title: interpolate(template.title, vars, lang),
+    message: interpolate(template.message, vars, lang)
+  };
+};
+
+/**
+ * Render a named SMS in the user's language
+ * @param {string} name - SMS template name
+ * @param {string} [language] - Language code
+ * @param {Object} [vars] - Template variables
+ * @returns {string} - Message text
+ */
+export const renderSms = (name, language, vars = {}) => {
+  const lang = resolveLanguage(language);
+  const template = findTemplate('sms', name, lang);
+
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`);
+  }
+
+  return interpolate(template, vars, lang);
+};
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+
+// RFC 6238 parameters understood by every common authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side of now are accepted, to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a moment falls in
+ * @param {number} [time] - Milliseconds since the epoch (defaults to now)
+ * @returns {number} - Step counter
+ */
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Code for one time step (RFC 4226 HOTP with HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} - Zero-padded code
+ */
+export const generateCode = (secret, step = stepAt()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [time] - Milliseconds since the epoch (defaults to now)
+ * @returns {number|null} - Step the code belongs to, or null if it does not match
+ */
+export const verifyCode = (secret, code, time = Date.now()) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const current = stepAt(time);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name shown in the app (e.g. the username)
+ * @returns {string} - Provisioning URI
+ */
+export const buildOtpauthUrl = (secret, account) => {
+  const issuer = process.env.TOTP_ISSUER || 'Money Lending App';
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  // Some apps show a literal "+" for spaces, so encode them as %20
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+export const SORT_FIELDS = ['createdAt', 'dueDate', 'amount', 'remainingAmount'];
+const DATE_SORT_FIELDS = ['createdAt', 'dueDate'];
+export const DATE_FIELDS = ['startDate', 'dueDate', 'createdAt'];
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Conditions matching every transaction the user is a party to
+ * @param {Object} user - Logged-in user
+ * @returns {Object} - MongoDB filter
+ */
+export const participantFilter = (user) => ({
+  $or: [
+    { lender: new mongoose.Types.ObjectId(user.id) },
+    { borrowerId: new mongoose.Types.ObjectId(user.id) },
+    // Loans not linked to an account yet are matched by name; once linked, only borrowerId counts
+    { borrowerId: null, borrower: user.username }
+  ]
+});
+
+/**
+ * Conditions matching transactions where the user has the given role
+ * @param {Object} user - Logged-in user
+ * @param {string} role - 'lender' or 'borrower'
+ * @returns {Object} - MongoDB filter
+ */
+export const roleFilter = (user, role) => {
+  const userId = new mongoose.Types.ObjectId(user.id);
+
+  if (role === 'lender') {
+    return { lender: userId };
+  }
+
+  return {
+    lender: { $ne: userId },
+    $or: [{ borrowerId: userId }, { borrowerId: null, borrower: user.username }]
+  };
+};
+
+/**
+ * Build one filter per list query parameter. Each is kept separate so counts
+ * can be worked out with all filters but one applied.
+ * @param {Object} user - Logged-in user
+ * @param {Object} query - Request query (role, status, counterparty, minAmount,
+ *   maxAmount, from, to, dateField)
+ * @returns {Promise<Object>} - Map of filter name to MongoDB filter
+ */
+export const buildListFilters = async (user, query) => {
+  const filters = {};
+  const userId = new mongoose.Types.ObjectId(user.id);
+
+  if (query.role) {
+    filters.role = roleFilter(user, query.role);
+  }
+
+  if (query.status) {
+    filters.status = { status: { $in: query.status.split(',') } };
+  }
+
+  if (query.counterparty) {
+    // The counterparty may be a registered user (either side) or an unregistered borrower name
+    const counterpartyUser = await User.findOne({ username: query.counterparty });
+    const conditions = [{ lender: userId, borrower: query.counterparty }];
+
+    if (counterpartyUser) {
+      conditions.push({ lender: userId, borrowerId: counterpartyUser._id });
+      conditions.push({
+        lender: counterpartyUser._id,
+        $or: [{ borrowerId: userId }, { borrowerId: null, borrower: user.username }]
+      });
+    }
+
+    filters.counterparty = { $or: conditions };
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    filters.amount = { amount: {} };
+    if (query.minAmount !== undefined) filters.amount.amount.$gte = Number(query.minAmount);
+    if (query.maxAmount !== undefined) filters.amount.amount.$lte = Number(query.maxAmount);
+  }
+
+  if (query.from || query.to) {
+    const dateField = query.dateField || 'startDate';
+    filters.date = { [dateField]: {} };
+    if (query.from) filters.date[dateField].$gte = new Date(query.from);
+    if (query.to) filters.date[dateField].$lte = new Date(query.to);
+  }
+
+  return filters;
+};
+
+/**
+ * Combine the participant filter with list filters, optionally leaving one out
+ * @param {Object} user - Logged-in user
+ * @param {Object} filters - Result of buildListFilters
+ * @param {string} [except] - Name of a filter to leave out
+ * @returns {Object} - MongoDB filter
+ */
+export const combineFilters = (user, filters, except) => ({
+  $and: [
+    participantFilter(user),
+    ...Object.entries(filters)
+      .filter(([name]) => name !== except)
+      .map(([, filter]) => filter)
+  ]
+});
+
+/**
+ * Encode the sort value and id of the last item on a page into an opaque cursor
+ * @param {Object} item - Last transaction on the page
+ * @param {string} sortBy - Field the list is sorted by
+ * @returns {string} - Cursor
+ */
+export const encodeCursor = (item, sortBy) => {
+  const value = item[sortBy];
+  const payload = {
+    value: value instanceof Date ? value.toISOString() : value,
+    isDate: value instanceof Date,
+    id: item._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Filter matching items after the cursor in the given sort order
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {string} sortBy - Field the list is sorted by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object|null} - MongoDB filter, or null if the cursor is invalid
+ */
+export const cursorFilter = (cursor, sortBy, direction) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    // The cursor comes from the client, so only a plain value of the sort field's type may reach the filter
+    let value;
+    if (DATE_SORT_FIELDS.includes(sortBy)) {
+      value = typeof payload.value === 'string' ? new Date(payload.value) : null;
+    } else {
+      value = Number.isFinite(payload.value) ? payload.value : null;
+    }
+
+    if (value === null || (value instanceof Date && Number.isNaN(value.getTime()))) {
+      return null;
+    }
+
+    if (typeof payload.id !== 'string' || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+
+    const id = new mongoose.Types.ObjectId(payload.id);
+    const op = direction === 1 ? '$gt' : '$lt';
+
+    return {
+      $or: [
+        { [sortBy]: { [op]: value } },
+        { [sortBy]: value, _id: { [op]: id } }
+      ]
+    };
+  } catch (error) {
+    return null;
+  }
+};